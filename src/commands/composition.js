@@ -0,0 +1,33 @@
+import {
+  MessageFlags,
+  PermissionFlagsBits,
+  SlashCommandBuilder,
+} from "discord.js";
+import {
+  buildComposition,
+  buildCompositionEmbeds,
+  loadSnapshot,
+} from "../utils/composition.js";
+
+const MAX_EMBEDS = 10; // Discord's limit per message
+
+export const compositionCommand = {
+  data: new SlashCommandBuilder()
+    .setName("composition")
+    .setDescription("Show member counts by class and weapons for each guild")
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles),
+
+  async execute(interaction, { members }) {
+    // Counting every member can outlast Discord's reply deadline
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    // Compared with the last scheduled report, which this does not replace
+    const composition = buildComposition(await members.listAll());
+    const embeds = buildCompositionEmbeds(composition, await loadSnapshot());
+
+    if (embeds.length === 0) {
+      await interaction.editReply({ content: "No guilds are configured." });
+      return;
+    }
+    await interaction.editReply({ embeds: embeds.slice(0, MAX_EMBEDS) });
+  },
+};
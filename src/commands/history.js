@@ -0,0 +1,93 @@
+import {
+  EmbedBuilder,
+  MessageFlags,
+  PermissionFlagsBits,
+  SlashCommandBuilder,
+} from "discord.js";
+
+const FIELD_LABELS = {
+  guild: "Guild",
+  class: "Class",
+  primary_weapon: "Primary weapon",
+  secondary_weapon: "Secondary weapon",
+  ingame_name: "In-game name",
+};
+
+const MAX_ENTRIES = 25;
+
+export function formatAlias(alias) {
+  return alias.set_at
+    ? `${alias.name} (since <t:${Math.floor(
+        new Date(alias.set_at).getTime() / 1000
+      )}:d>)`
+    : alias.name;
+}
+
+function formatEntry(entry) {
+  const timestamp = Math.floor(new Date(entry.changed_at).getTime() / 1000);
+  const label = FIELD_LABELS[entry.field] || entry.field;
+  const source = entry.source.replace(/_/g, " ");
+  return `<t:${timestamp}:f> **${label}**: ${entry.old_value ?? "none"} → ${
+    entry.new_value ?? "none"
+  } *(${source})*`;
+}
+
+export const historyCommand = {
+  data: new SlashCommandBuilder()
+    .setName("history")
+    .setDescription("Show a member's guild, class and weapon changes")
+    .addUserOption((option) =>
+      option
+        .setName("member")
+        .setDescription("Member to look up")
+        .setRequired(true)
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles),
+
+  async execute(interaction, { history }) {
+    const user = interaction.options.getUser("member", true);
+
+    if (!history.enabled) {
+      await interaction.reply({
+        content: "Member history is not enabled on this bot.",
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    const { documents, total } = await history.listForMember(user.id, {
+      limit: MAX_ENTRIES,
+    });
+    const aliases = await history.listIngameNameAliases(user.id);
+
+    if (documents.length === 0) {
+      await interaction.reply({
+        content: `No recorded changes for ${user}.`,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    const embed = new EmbedBuilder()
+      .setTitle(`History for ${user.username}`)
+      .setDescription(documents.map(formatEntry).join("\n"))
+      .setFooter({
+        text:
+          total > documents.length
+            ? `Showing the latest ${documents.length} of ${total} changes`
+            : `${total} change${total === 1 ? "" : "s"}`,
+      });
+
+    if (aliases.length > 0) {
+      embed.addFields({
+        name: "In-game names used",
+        value: aliases.map(formatAlias).join("\n").slice(0, 1024),
+      });
+    }
+
+    await interaction.reply({
+      embeds: [embed],
+      flags: MessageFlags.Ephemeral,
+    });
+  },
+};
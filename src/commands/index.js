@@ -0,0 +1,55 @@
+import { log } from "../utils/logger.js";
+import { replyWithError } from "../utils/officerNotifications.js";
+import { historyCommand } from "./history.js";
+import { whoisCommand, viewRecordCommand } from "./whois.js";
+import { rosterCommand } from "./roster.js";
+import { compositionCommand } from "./composition.js";
+
+export const commands = [
+  historyCommand,
+  whoisCommand,
+  viewRecordCommand,
+  rosterCommand,
+  compositionCommand,
+];
+
+const commandsByName = new Map(
+  commands.map((command) => [command.data.name, command])
+);
+
+// Register all slash and context menu commands on the server, replacing any stale ones
+export async function registerCommands(server) {
+  try {
+    await server.commands.set(commands.map((command) => command.data.toJSON()));
+    log.info(`Registered ${commands.length} commands`);
+  } catch (error) {
+    log.error(`Failed to register slash commands: ${error.message}`);
+  }
+}
+
+// Dispatch a command interaction; `context` carries shared services
+export async function handleCommand(interaction, context) {
+  const command = commandsByName.get(interaction.commandName);
+  if (!command) return;
+
+  try {
+    await command.execute(interaction, context);
+  } catch (error) {
+    log.error(`Error handling /${interaction.commandName}: ${error.message}`);
+    await replyWithError(interaction);
+  }
+}
+
+// Answer an autocomplete request for a command option
+export async function handleAutocomplete(interaction) {
+  const command = commandsByName.get(interaction.commandName);
+  if (!command?.autocomplete) return;
+
+  try {
+    await command.autocomplete(interaction);
+  } catch (error) {
+    log.error(
+      `Error autocompleting /${interaction.commandName}: ${error.message}`
+    );
+  }
+}
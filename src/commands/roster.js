@@ -0,0 +1,274 @@
+import {
+  ActionRowBuilder,
+  AttachmentBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  MessageFlags,
+  PermissionFlagsBits,
+  SlashCommandBuilder,
+} from "discord.js";
+import { getConfig } from "../utils/config.js";
+import { GUILD_ROLES } from "../constants/guilds.js";
+import { WEAPON_ROLES } from "../constants/weapons.js";
+
+const BUTTON_PREFIX = "roster";
+const PAGE_SIZE = 20;
+const QUERY_TTL = 15 * 60 * 1000; // Page and CSV buttons work for 15 minutes
+const MAX_CHOICES = 25; // Discord's autocomplete limit
+
+const CSV_COLUMNS = [
+  "discord_id",
+  "discord_username",
+  "ingame_name",
+  "guild",
+  "class",
+  "primary_weapon",
+  "secondary_weapon",
+  "has_thread",
+  "thread_link",
+];
+
+// Filters of recent /roster replies by interaction ID, for their buttons
+const rosterQueries = new Map();
+
+function rememberQuery(id, query) {
+  const now = Date.now();
+  for (const [key, { expiresAt }] of rosterQueries) {
+    if (expiresAt <= now) rosterQueries.delete(key);
+  }
+  rosterQueries.set(id, { ...query, expiresAt: now + QUERY_TTL });
+}
+
+// Storage filters and a readable description from the command options
+export function buildRosterFilters(options) {
+  const filters = {};
+  const labels = [];
+  for (const field of [
+    "guild",
+    "class",
+    "primary_weapon",
+    "secondary_weapon",
+  ]) {
+    const value = options.getString(field);
+    if (value) {
+      filters[field] = value;
+      labels.push(value);
+    }
+  }
+  if (options.getBoolean("missing_ingame_name")) {
+    filters.ingame_name = null;
+    labels.push("missing in-game name");
+  }
+  const hasThread = options.getBoolean("has_thread");
+  if (hasThread !== null) {
+    filters.has_thread = hasThread;
+    labels.push(hasThread ? "open review thread" : "no review thread");
+  }
+  // Records of members who left are kept, but only listed on request
+  if (options.getBoolean("include_departed")) {
+    labels.push("including departed");
+  } else {
+    filters.left_at = null;
+  }
+  return { filters, description: labels.join(" · ") || "All members" };
+}
+
+// Members matching the filters, sorted by guild then name
+export async function queryRoster(members, filters) {
+  const docs = await members.listAll(filters);
+  const name = (doc) => doc.ingame_name || doc.discord_username || "";
+  return docs.sort(
+    (a, b) =>
+      (a.guild ?? "").localeCompare(b.guild ?? "") ||
+      name(a).localeCompare(name(b))
+  );
+}
+
+function formatRosterLine(doc) {
+  const name = doc.ingame_name ? `**${doc.ingame_name}**` : "*no in-game name*";
+  const weapons =
+    doc.primary_weapon && `${doc.primary_weapon}/${doc.secondary_weapon}`;
+  const details = [doc.guild, doc.class, weapons].filter(Boolean).join(" · ");
+  return `${name} <@${doc.discord_id}>${details ? ` — ${details}` : ""}${
+    doc.has_thread ? " 🧵" : ""
+  }`;
+}
+
+// Embed and buttons for one page of the roster
+export function buildRosterPage(queryId, docs, description, page) {
+  const pageCount = Math.max(1, Math.ceil(docs.length / PAGE_SIZE));
+  page = Math.min(Math.max(page, 0), pageCount - 1);
+  const lines = docs
+    .slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE)
+    .map(formatRosterLine);
+
+  const embed = new EmbedBuilder()
+    .setTitle(`Roster: ${description}`)
+    .setDescription(lines.join("\n") || "No members match these filters.")
+    .setFooter({
+      text: `${docs.length} member${docs.length === 1 ? "" : "s"} · Page ${
+        page + 1
+      } of ${pageCount}`,
+    });
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${BUTTON_PREFIX}:page:${queryId}:${page - 1}`)
+      .setLabel("Previous")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page === 0),
+    new ButtonBuilder()
+      .setCustomId(`${BUTTON_PREFIX}:page:${queryId}:${page + 1}`)
+      .setLabel("Next")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page >= pageCount - 1),
+    new ButtonBuilder()
+      .setCustomId(`${BUTTON_PREFIX}:csv:${queryId}`)
+      .setLabel("Download CSV")
+      .setStyle(ButtonStyle.Primary)
+      .setDisabled(docs.length === 0)
+  );
+
+  return { embeds: [embed], components: [row] };
+}
+
+function csvCell(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  // Keep spreadsheets from running names that look like formulas
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function rosterToCsv(docs) {
+  return [
+    CSV_COLUMNS.join(","),
+    ...docs.map((doc) =>
+      CSV_COLUMNS.map((column) => csvCell(doc[column])).join(",")
+    ),
+  ].join("\n");
+}
+
+export function isRosterButton(customId) {
+  return customId.startsWith(`${BUTTON_PREFIX}:`);
+}
+
+// Page and CSV buttons under a /roster reply
+export async function handleRosterButton(interaction, { members }) {
+  const [, action, queryId, page] = interaction.customId.split(":");
+  const query = rosterQueries.get(queryId);
+  if (!query || query.expiresAt <= Date.now()) {
+    await interaction.reply({
+      content: "This roster has expired. Run /roster again.",
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  // Acknowledge before paging through the members, which can take longer
+  // than Discord waits for a response
+  if (action === "csv") {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    const docs = await queryRoster(members, query.filters);
+    await interaction.editReply({
+      files: [
+        new AttachmentBuilder(Buffer.from(rosterToCsv(docs)), {
+          name: "roster.csv",
+        }),
+      ],
+    });
+    return;
+  }
+
+  await interaction.deferUpdate();
+  const docs = await queryRoster(members, query.filters);
+  await interaction.editReply(
+    buildRosterPage(queryId, docs, query.description, Number(page))
+  );
+}
+
+function getChoices(focusedName) {
+  const weapons = Object.values(WEAPON_ROLES);
+  switch (focusedName) {
+    case "guild":
+      return Object.values(GUILD_ROLES);
+    case "class":
+      return getConfig().classes;
+    case "primary_weapon":
+      return weapons.map((weapon) => weapon.primaryWeapon);
+    case "secondary_weapon":
+      return weapons.map((weapon) => weapon.secondaryWeapon);
+    default:
+      return [];
+  }
+}
+
+export const rosterCommand = {
+  data: new SlashCommandBuilder()
+    .setName("roster")
+    .setDescription("List members by guild, class and weapons")
+    .addStringOption((option) =>
+      option
+        .setName("guild")
+        .setDescription("Only members of this guild")
+        .setAutocomplete(true)
+    )
+    .addStringOption((option) =>
+      option
+        .setName("class")
+        .setDescription("Only members of this class")
+        .setAutocomplete(true)
+    )
+    .addStringOption((option) =>
+      option
+        .setName("primary_weapon")
+        .setDescription("Only members with this primary weapon")
+        .setAutocomplete(true)
+    )
+    .addStringOption((option) =>
+      option
+        .setName("secondary_weapon")
+        .setDescription("Only members with this secondary weapon")
+        .setAutocomplete(true)
+    )
+    .addBooleanOption((option) =>
+      option
+        .setName("missing_ingame_name")
+        .setDescription("Only members without an in-game name")
+    )
+    .addBooleanOption((option) =>
+      option
+        .setName("has_thread")
+        .setDescription("Only members with (or without) an open review thread")
+    )
+    .addBooleanOption((option) =>
+      option
+        .setName("include_departed")
+        .setDescription("Also list members who have left the server")
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles),
+
+  // Choices come from the current config so they follow config reloads
+  async autocomplete(interaction) {
+    const focused = interaction.options.getFocused(true);
+    const typed = focused.value.toLowerCase();
+    const choices = [...new Set(getChoices(focused.name))]
+      .filter((choice) => choice.toLowerCase().includes(typed))
+      .slice(0, MAX_CHOICES)
+      .map((choice) => ({ name: choice, value: choice }));
+    await interaction.respond(choices);
+  },
+
+  async execute(interaction, { members }) {
+    const { filters, description } = buildRosterFilters(interaction.options);
+    // Paging through every member can outlast Discord's reply deadline
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    const docs = await queryRoster(members, filters);
+    rememberQuery(interaction.id, { filters, description });
+
+    await interaction.editReply({
+      ...buildRosterPage(interaction.id, docs, description, 0),
+      allowedMentions: { parse: [] },
+    });
+  },
+};
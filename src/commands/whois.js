@@ -0,0 +1,152 @@
+import {
+  ApplicationCommandType,
+  ContextMenuCommandBuilder,
+  EmbedBuilder,
+  MessageFlags,
+  PermissionFlagsBits,
+  SlashCommandBuilder,
+} from "discord.js";
+import { findByIngameName } from "../utils/ingameName.js";
+import { formatAlias } from "./history.js";
+
+function formatTime(value) {
+  if (!value) return "*unknown*";
+  return `<t:${Math.floor(new Date(value).getTime() / 1000)}:f>`;
+}
+
+function formatDeparture(doc) {
+  if (!doc.left_at) return "*never*";
+  return `${formatTime(doc.left_at)}${
+    doc.departure_reason ? ` (${doc.departure_reason})` : ""
+  }`;
+}
+
+// Embed showing everything stored about a member, with the in-game names
+// they have used when `aliases` (from the member history) are given
+export function buildMemberRecordEmbed(doc, aliases = []) {
+  const weapons =
+    doc.primary_weapon || doc.secondary_weapon
+      ? `${doc.primary_weapon ?? "none"} / ${doc.secondary_weapon ?? "none"}`
+      : "*none*";
+
+  const embed = new EmbedBuilder()
+    .setTitle(`Guild record for ${doc.discord_username ?? doc.discord_id}`)
+    .setDescription(`<@${doc.discord_id}>`)
+    .addFields(
+      {
+        name: "In-game name",
+        value: doc.ingame_name || "*not set*",
+        inline: true,
+      },
+      { name: "Guild", value: doc.guild || "*none*", inline: true },
+      { name: "Class", value: doc.class || "*none*", inline: true },
+      { name: "Weapons", value: weapons },
+      {
+        name: "Review thread",
+        value: doc.thread_link || "*none*",
+      },
+      { name: "Joined", value: formatTime(doc.joined_at), inline: true },
+      { name: "Last left", value: formatDeparture(doc), inline: true },
+      {
+        name: "Rejoins",
+        value: String(doc.rejoin_count ?? 0),
+        inline: true,
+      },
+      {
+        name: "Record created",
+        value: formatTime(doc.$createdAt),
+        inline: true,
+      },
+      { name: "Last updated", value: formatTime(doc.$updatedAt), inline: true }
+    );
+
+  if (aliases.length > 0) {
+    embed.addFields({
+      name: "In-game names used",
+      value: aliases.map(formatAlias).join("\n").slice(0, 1024),
+    });
+  }
+  return embed;
+}
+
+// Answer a deferred lookup with the record, or `notFound` without one
+async function replyWithRecord(interaction, doc, notFound, history) {
+  if (!doc) {
+    await interaction.editReply({
+      content: notFound,
+      allowedMentions: { parse: [] },
+    });
+    return;
+  }
+  const aliases = history?.enabled
+    ? await history.listIngameNameAliases(doc.discord_id)
+    : [];
+  await interaction.editReply({
+    embeds: [buildMemberRecordEmbed(doc, aliases)],
+  });
+}
+
+export const whoisCommand = {
+  data: new SlashCommandBuilder()
+    .setName("whois")
+    .setDescription("Show a member's stored guild record")
+    .addUserOption((option) =>
+      option.setName("member").setDescription("Member to look up")
+    )
+    .addStringOption((option) =>
+      option.setName("name").setDescription("In-game name to look up")
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles),
+
+  async execute(interaction, { members, history }) {
+    const user = interaction.options.getUser("member");
+    const name = interaction.options.getString("name");
+    if (!user && !name) {
+      await interaction.reply({
+        content: "Give a member or an in-game name to look up.",
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    // The record and history lookups can outlast Discord's reply deadline
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    if (user) {
+      const doc = await members.getByDiscordId(user.id);
+      await replyWithRecord(
+        interaction,
+        doc,
+        `No record found for ${user}.`,
+        history
+      );
+    } else {
+      // Old names from logs still find the member through their history
+      const doc = await findByIngameName(members, name, history);
+      await replyWithRecord(
+        interaction,
+        doc,
+        `No member has the in-game name "${name}".`,
+        history
+      );
+    }
+  },
+};
+
+export const viewRecordCommand = {
+  data: new ContextMenuCommandBuilder()
+    .setName("View guild record")
+    .setType(ApplicationCommandType.User)
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles),
+
+  async execute(interaction, { members, history }) {
+    const user = interaction.targetUser;
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    const doc = await members.getByDiscordId(user.id);
+    await replyWithRecord(
+      interaction,
+      doc,
+      `No record found for ${user}.`,
+      history
+    );
+  },
+};
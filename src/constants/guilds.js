@@ -1,24 +1,36 @@
-// Helper to validate guild environment variables
-function validateGuildEnv(number) {
-  const roleId = process.env[`GUILD${number}_ROLE_ID`];
-  const name = process.env[`GUILD${number}_NAME`];
-  return roleId && name ? { [roleId]: name } : null;
-}
+import { onConfigChange, replaceObjectContents } from "../utils/config.js";
+import { pickWinningRole } from "../utils/roleWinner.js";
+
+// Guild roles map (role ID -> guild name), rebuilt whenever the config loads
+export const GUILD_ROLES = {};
+
+// Short tags shown in nicknames (guild name -> tag), defaulting to the name
+export const GUILD_TAGS = {};
 
-// Dynamically build guild roles map from environment variables
-export const GUILD_ROLES = Object.assign(
-  {},
-  validateGuildEnv(1),
-  validateGuildEnv(2),
-  validateGuildEnv(3),
-  validateGuildEnv(4)
-);
+onConfigChange((config) => {
+  replaceObjectContents(
+    GUILD_ROLES,
+    Object.fromEntries(config.guilds.map((guild) => [guild.roleId, guild.name]))
+  );
+  replaceObjectContents(
+    GUILD_TAGS,
+    Object.fromEntries(
+      config.guilds.map((guild) => [guild.name, guild.tag || guild.name])
+    )
+  );
+});
+
+// Every guild role the member holds. More than one is a conflict.
+export function getGuildRoles(member) {
+  return Array.from(
+    member.roles.cache
+      .filter((role) => Object.keys(GUILD_ROLES).includes(role.id))
+      .values()
+  );
+}
 
 // Helper function to get guild name from member roles
 export function getGuildFromRoles(member) {
-  const memberRoles = member.roles.cache;
-  const guildRole = memberRoles.find((role) =>
-    Object.keys(GUILD_ROLES).includes(role.id)
-  );
+  const guildRole = pickWinningRole(member, getGuildRoles(member));
   return guildRole ? GUILD_ROLES[guildRole.id] : null;
 }
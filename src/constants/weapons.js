@@ -1,47 +1,37 @@
-// Helper to validate weapon environment variables
-function validateWeaponEnv(number) {
-  const roleId = process.env[`WEAPON${number}_ROLE_ID`];
-  const primaryName = process.env[`WEAPON${number}_PRIMARY`];
-  const secondaryName = process.env[`WEAPON${number}_SECONDARY`];
-  const weaponClass = process.env[`WEAPON${number}_CLASS`];
-  return roleId && primaryName && secondaryName && weaponClass
-    ? {
-        [roleId]: {
-          primaryWeapon: primaryName,
-          secondaryWeapon: secondaryName,
-          class: weaponClass,
+import { onConfigChange, replaceObjectContents } from "../utils/config.js";
+import { pickWinningRole } from "../utils/roleWinner.js";
+
+// Weapon roles map (role ID -> weapon combo), rebuilt whenever the config loads
+export const WEAPON_ROLES = {};
+
+onConfigChange((config) => {
+  replaceObjectContents(
+    WEAPON_ROLES,
+    Object.fromEntries(
+      config.weapons.map((weapon) => [
+        weapon.roleId,
+        {
+          primaryWeapon: weapon.primary,
+          secondaryWeapon: weapon.secondary,
+          class: weapon.class,
         },
-      }
-    : null;
-}
+      ])
+    )
+  );
+});
 
-// Dynamically build weapons map from environment variables
-export const WEAPON_ROLES = Object.assign(
-  {},
-  validateWeaponEnv(1),
-  validateWeaponEnv(2),
-  validateWeaponEnv(3),
-  validateWeaponEnv(4),
-  validateWeaponEnv(5),
-  validateWeaponEnv(6),
-  validateWeaponEnv(7),
-  validateWeaponEnv(8),
-  validateWeaponEnv(9),
-  validateWeaponEnv(10),
-  validateWeaponEnv(11),
-  validateWeaponEnv(12),
-  validateWeaponEnv(13),
-  validateWeaponEnv(14),
-  validateWeaponEnv(15),
-  validateWeaponEnv(16)
-);
+// Every weapon combo role the member holds. More than one is a conflict.
+export function getWeaponRoles(member) {
+  return Array.from(
+    member.roles.cache
+      .filter((role) => Object.keys(WEAPON_ROLES).includes(role.id))
+      .values()
+  );
+}
 
 // Helper function to get weapon info from member roles
 export function getWeaponInfoFromRoles(member) {
-  const memberRoles = member.roles.cache;
-  const weaponRole = memberRoles.find((role) =>
-    Object.keys(WEAPON_ROLES).includes(role.id)
-  );
+  const weaponRole = pickWinningRole(member, getWeaponRoles(member));
 
   if (!weaponRole) {
     return {
@@ -1,5 +1,4 @@
 import { Client, Events, GatewayIntentBits, MessageFlags } from "discord.js";
-import { Client as Appwrite, Databases, ID, Query } from "node-appwrite";
 import dotenv from "dotenv";
 import { log } from "./utils/logger.js";
 import { getGuildFromRoles } from "./constants/guilds.js";
@@ -8,16 +7,95 @@ import { debounce } from "lodash-es";
 import {
   getIngameName,
   setIngameName,
+  getIngameNameCooldownRemaining,
   createIngameNameModal,
   createIngameNameMessage,
   validateIngameName,
+  findDuplicateIngameNames,
+  findInvalidIngameNames,
+  backfillIngameNameKeys,
+  findIngameNameConflict,
 } from "./utils/ingameName.js";
+import {
+  notifyOfficers,
+  isOfficer,
+  replyWithError,
+} from "./utils/officerNotifications.js";
+import {
+  isApprovalRequired,
+  isApprovalButton,
+  requestIngameNameApproval,
+  handleApprovalButton,
+} from "./utils/ingameNameApproval.js";
 import { threadManager } from "./utils/threadManager.js";
 import {
   withRetry,
   documentCache,
   createBatchManager,
 } from "./utils/appwriteHelpers.js";
+import { startHealthServer } from "./utils/healthCheck.js";
+import {
+  loadConfig,
+  watchConfig,
+  unwatchConfig,
+  onConfigChange,
+} from "./utils/config.js";
+import { createStorage } from "./utils/storage.js";
+import { createUpdateJournal } from "./utils/updateJournal.js";
+import { createScheduler } from "./utils/scheduler.js";
+import { createMemberRepository } from "./utils/memberRepository.js";
+import { createMemberHistory } from "./utils/memberHistory.js";
+import {
+  registerCommands,
+  handleCommand,
+  handleAutocomplete,
+} from "./commands/index.js";
+import { isRosterButton, handleRosterButton } from "./commands/roster.js";
+import { createMemberSync } from "./utils/memberSync.js";
+import {
+  createReconciler,
+  isApplyPlanButton,
+  handleApplyPlanButton,
+} from "./utils/reconciliation.js";
+import { findRecentDepartureReason } from "./utils/departures.js";
+import { postCompositionReport } from "./utils/composition.js";
+import { createClassBalanceMonitor } from "./utils/classBalance.js";
+import {
+  createWeaponPickerMessage,
+  isWeaponPickerSelect,
+  handleWeaponPickerSelect,
+  isWeaponApprovalButton,
+  handleWeaponApprovalButton,
+} from "./utils/weaponPicker.js";
+import {
+  createApplicationMessage,
+  createApplicationModal,
+  isApplyButton,
+  isApplicationModal,
+  handleApplicationModal,
+} from "./utils/applications.js";
+import {
+  isRestoreButton,
+  handleRestoreButton,
+  offerRoleRestore,
+  restoreRoles,
+} from "./utils/roleRestore.js";
+import {
+  createReconciliationReport,
+  createFailureReport,
+  postSyncReport,
+} from "./utils/syncReport.js";
+import {
+  getRoleConflicts,
+  isSameConflict,
+  reportRoleConflicts,
+} from "./utils/roleConflicts.js";
+import { recordAddedRoles, forgetAddedRoles } from "./utils/roleWinner.js";
+import {
+  isNicknameSyncEnabled,
+  syncNickname,
+  formatNicknameRevertReport,
+} from "./utils/nicknameSync.js";
 
 dotenv.config();
 
@@ -25,33 +103,17 @@ dotenv.config();
 const requiredEnvVars = [
   "DISCORD_TOKEN",
   "SERVER_ID",
-  "APPWRITE_ENDPOINT",
-  "APPWRITE_PROJECT_ID",
-  "APPWRITE_API_KEY",
-  "APPWRITE_DATABASE_ID",
-  "APPWRITE_COLLECTION_ID",
   "INGAME_NAME_CHANNEL_ID",
-  "TANK_REVIEW_CHANNEL_ID",
-  "HEALER_REVIEW_CHANNEL_ID",
-  "RANGED_REVIEW_CHANNEL_ID",
-  "MELEE_REVIEW_CHANNEL_ID",
-  "BOMBER_REVIEW_CHANNEL_ID",
 ];
 
-// Add guild environment variables
-const numGuilds = 4; // Current number of guilds
-for (let i = 1; i <= numGuilds; i++) {
-  requiredEnvVars.push(`GUILD${i}_ROLE_ID`, `GUILD${i}_NAME`);
-}
-
-// Add weapon environment variables
-const numWeapons = 16; // Current number of weapons
-for (let i = 1; i <= numWeapons; i++) {
+// Appwrite settings are only needed when it is the storage backend
+if ((process.env.STORAGE_BACKEND || "appwrite") === "appwrite") {
   requiredEnvVars.push(
-    `WEAPON${i}_ROLE_ID`,
-    `WEAPON${i}_PRIMARY`,
-    `WEAPON${i}_SECONDARY`,
-    `WEAPON${i}_CLASS`
+    "APPWRITE_ENDPOINT",
+    "APPWRITE_PROJECT_ID",
+    "APPWRITE_API_KEY",
+    "APPWRITE_DATABASE_ID",
+    "APPWRITE_COLLECTION_ID"
   );
 }
 
@@ -63,115 +125,64 @@ if (missingVars.length > 0) {
   process.exit(1);
 }
 
+// Load guilds, weapon combos and review channels from config.json (or the
+// legacy numbered env vars) and reload them whenever the file changes
+try {
+  loadConfig();
+} catch (error) {
+  log.error(error.message);
+  process.exit(1);
+}
+watchConfig();
+
 // Initialize Discord client
 const client = new Client({
-  intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMembers],
+  intents: [
+    GatewayIntentBits.Guilds,
+    GatewayIntentBits.GuildMembers,
+    GatewayIntentBits.GuildModeration, // Ban and unban events
+  ],
 });
 
-// Initialize Appwrite
-const appwrite = new Appwrite()
-  .setEndpoint(process.env.APPWRITE_ENDPOINT)
-  .setProject(process.env.APPWRITE_PROJECT_ID)
-  .setKey(process.env.APPWRITE_API_KEY);
-
-const databases = new Databases(appwrite);
-const batchManager = createBatchManager(databases);
-
-// Sync member data to Appwrite
-async function syncMember(member) {
-  try {
-    const guild = getGuildFromRoles(member);
-    const weaponInfo = getWeaponInfoFromRoles(member);
-    log.info(`Processing member ${member.user.username}`);
+// Initialize storage backend (Appwrite or local SQLite)
+let storage;
+try {
+  storage = await createStorage();
+} catch (error) {
+  log.error(`Failed to initialize storage: ${error.message}`);
+  process.exit(1);
+}
 
-    try {
-      const existingDoc = await withRetry(
-        () =>
-          databases.listDocuments(
-            process.env.APPWRITE_DATABASE_ID,
-            process.env.APPWRITE_COLLECTION_ID,
-            [Query.equal("discord_id", member.id)]
-          ),
-        `Fetch document for ${member.user.username}`
-      );
+const history = createMemberHistory(storage);
+const members = createMemberRepository(storage, { history });
+// Queued updates are journaled to disk and replayed after a restart
+const journal = await createUpdateJournal();
+const batchManager = createBatchManager(members, { journal });
+try {
+  await batchManager.replayJournal();
+} catch (error) {
+  log.error(`Failed to replay update journal: ${error.message}`);
+}
+// Name lookups use the stored key, so fill it in on older records first
+try {
+  await backfillIngameNameKeys(members);
+} catch (error) {
+  log.error(`Failed to store in-game name keys: ${error.message}`);
+}
 
-      const hasThread = await threadManager.hasActiveThread(member.id);
-      let threadLink = null;
-      if (hasThread) {
-        const threadId = threadManager.getActiveThreadId(member.id);
-        try {
-          const thread = await member.guild.channels.fetch(threadId);
-          if (thread) {
-            threadLink = `https://discord.com/channels/${member.guild.id}/${thread.id}`;
-          }
-        } catch (error) {
-          log.error(
-            `Error fetching thread for ${member.user.username}: ${error.message}`
-          );
-        }
-      }
+// Timestamp of the last completed full member sync, reported on /health
+let lastSuccessfulSync = null;
 
-      const memberData = {
-        discord_id: member.id,
-        discord_username: member.user.username,
-        discord_nickname: member.nickname || member.user.displayName || null,
-        class: weaponInfo.class,
-        primary_weapon: weaponInfo.primaryWeapon,
-        secondary_weapon: weaponInfo.secondaryWeapon,
-        guild: guild,
-        has_thread: hasThread,
-        thread_link: threadLink,
-      };
-
-      if (existingDoc.documents.length > 0) {
-        const docId = existingDoc.documents[0].$id;
-        memberData.ingame_name = existingDoc.documents[0].ingame_name;
-        if (!weaponInfo.class) {
-          memberData.class = existingDoc.documents[0].class;
-          memberData.primary_weapon = existingDoc.documents[0].primary_weapon;
-          memberData.secondary_weapon =
-            existingDoc.documents[0].secondary_weapon;
-        }
+const healthServer = startHealthServer({
+  client,
+  members,
+  batchManager,
+  getLastSuccessfulSync: () => lastSuccessfulSync,
+});
 
-        await withRetry(
-          () =>
-            databases.updateDocument(
-              process.env.APPWRITE_DATABASE_ID,
-              process.env.APPWRITE_COLLECTION_ID,
-              docId,
-              memberData
-            ),
-          `Update document for ${member.user.username}`
-        );
-        log.info(`Updated member data for ${member.user.username}`);
-      } else {
-        memberData.ingame_name = null;
-        await withRetry(
-          () =>
-            databases.createDocument(
-              process.env.APPWRITE_DATABASE_ID,
-              process.env.APPWRITE_COLLECTION_ID,
-              ID.unique(),
-              memberData
-            ),
-          `Create document for ${member.user.username}`
-        );
-        log.info(`Created new member data for ${member.user.username}`);
-      }
-    } catch (error) {
-      log.error(
-        `Error syncing member ${member.user.username}: ${error.message}`
-      );
-      if (error.code) {
-        log.error(`Error code: ${error.code}`);
-      }
-    }
-  } catch (error) {
-    log.error(
-      `Error processing member ${member.user.username}: ${error.message}`
-    );
-  }
-}
+const { syncMember } = createMemberSync({ members });
+const reconciler = createReconciler({ client, members });
+const classBalance = createClassBalanceMonitor({ client, members });
 
 // Event handler for when bot is ready
 client.once(Events.ClientReady, async () => {
@@ -193,6 +204,23 @@ client.once(Events.ClientReady, async () => {
   await threadManager.initializeCache(server);
   log.info("Thread cache initialization completed");
 
+  // Rebuild the thread cache when a reloaded config changes review channels
+  onConfigChange((config, previous) => {
+    if (
+      !previous ||
+      JSON.stringify(config.reviewChannels) ===
+        JSON.stringify(previous.reviewChannels)
+    ) {
+      return;
+    }
+    log.info("Review channels changed, rebuilding thread cache...");
+    threadManager.initializeCache(server).catch((error) => {
+      log.error(`Failed to rebuild thread cache: ${error.message}`);
+    });
+  });
+
+  await registerCommands(server);
+
   // Create ingame name message in the specified channel
   const ingameNameChannel = await server.channels.fetch(
     process.env.INGAME_NAME_CHANNEL_ID
@@ -201,144 +229,57 @@ client.once(Events.ClientReady, async () => {
     await createIngameNameMessage(ingameNameChannel);
   }
 
-  try {
-    // Run database audit first
-    await auditDatabaseMembers();
-
-    const members = await server.members.fetch();
-    const nonBotMembers = Array.from(members.values()).filter(
-      (member) => !member.user.bot
+  if (process.env.APPLICATION_CHANNEL_ID) {
+    const applicationChannel = await server.channels.fetch(
+      process.env.APPLICATION_CHANNEL_ID
     );
-    log.info(`Syncing ${nonBotMembers.length} members from ${server.name}`);
-
-    // Add pagination for large servers
-    const limit = 100; // Appwrite's recommended limit
-    let offset = 0;
-    let allDocs = [];
-
-    // Fetch all documents with pagination
-    while (true) {
-      const response = await databases.listDocuments(
-        process.env.APPWRITE_DATABASE_ID,
-        process.env.APPWRITE_COLLECTION_ID,
-        [Query.limit(limit), Query.offset(offset)]
-      );
-
-      allDocs = allDocs.concat(response.documents);
-
-      if (response.documents.length < limit) break;
-      offset += limit;
+    if (applicationChannel) {
+      await createApplicationMessage(applicationChannel);
     }
+  }
 
-    // Create map from all documents and populate cache
-    const existingDocsMap = new Map(
-      allDocs.map((doc) => {
-        documentCache.set(doc.discord_id, doc);
-        // Validate existing ingame names
-        if (doc.ingame_name !== null) {
-          const validation = validateIngameName(doc.ingame_name);
-          if (!validation.valid) {
-            log.warn(
-              `Invalid ingame name found for ${doc.discord_username}: "${doc.ingame_name}" - ${validation.error}`
-            );
-          }
-        }
-        return [doc.discord_id, doc];
-      })
+  // Weapon picker panel, refreshed when a config reload changes the classes
+  if (process.env.WEAPON_PICKER_CHANNEL_ID) {
+    const weaponPickerChannel = await server.channels.fetch(
+      process.env.WEAPON_PICKER_CHANNEL_ID
     );
+    if (weaponPickerChannel) {
+      await createWeaponPickerMessage(weaponPickerChannel);
+      onConfigChange((config, previous) => {
+        if (
+          previous &&
+          JSON.stringify(config.classes) !== JSON.stringify(previous.classes)
+        ) {
+          createWeaponPickerMessage(weaponPickerChannel);
+        }
+      });
+    }
+  }
 
-    // Process members in batches of 10
-    const batchSize = 10;
-    for (let i = 0; i < nonBotMembers.length; i += batchSize) {
-      const batch = nonBotMembers.slice(i, i + batchSize);
+  try {
+    log.info(`Syncing members from ${server.name}`);
+    const { plan } = await runReconciliation({ source: "startup_sync" });
 
-      await Promise.all(
-        batch.map(async (member) => {
-          try {
-            const guild = getGuildFromRoles(member);
-            const weaponInfo = getWeaponInfoFromRoles(member);
-            const hasThread = await threadManager.hasActiveThread(member.id);
-
-            let threadLink = null;
-            if (hasThread) {
-              const threadId = threadManager.getActiveThreadId(member.id);
-              try {
-                const thread = await member.guild.channels.fetch(threadId);
-                if (thread) {
-                  threadLink = `https://discord.com/channels/${member.guild.id}/${thread.id}`;
-                }
-              } catch (error) {
-                log.error(
-                  `Error fetching thread for ${member.user.username}: ${error.message}`
-                );
-              }
-            }
-
-            const memberData = {
-              discord_id: member.id,
-              discord_username: member.user.username,
-              discord_nickname:
-                member.nickname || member.user.displayName || null,
-              class: weaponInfo.class,
-              primary_weapon: weaponInfo.primaryWeapon,
-              secondary_weapon: weaponInfo.secondaryWeapon,
-              guild: guild,
-              has_thread: hasThread,
-              thread_link: threadLink,
-            };
-
-            const existingDoc = existingDocsMap.get(member.id);
-
-            if (existingDoc) {
-              memberData.ingame_name = existingDoc.ingame_name;
-              if (!weaponInfo.class) {
-                memberData.class = existingDoc.class;
-                memberData.primary_weapon = existingDoc.primary_weapon;
-                memberData.secondary_weapon = existingDoc.secondary_weapon;
-              }
-
-              await withRetry(
-                () =>
-                  databases.updateDocument(
-                    process.env.APPWRITE_DATABASE_ID,
-                    process.env.APPWRITE_COLLECTION_ID,
-                    existingDoc.$id,
-                    memberData
-                  ),
-                `Update document for ${member.user.username}`
-              );
-              documentCache.set(member.id, { ...existingDoc, ...memberData });
-              log.info(`Updated member data for ${member.user.username}`);
-            } else {
-              memberData.ingame_name = null;
-              const doc = await withRetry(
-                () =>
-                  databases.createDocument(
-                    process.env.APPWRITE_DATABASE_ID,
-                    process.env.APPWRITE_COLLECTION_ID,
-                    ID.unique(),
-                    memberData
-                  ),
-                `Create document for ${member.user.username}`
-              );
-              documentCache.set(member.id, doc);
-              log.info(`Created new member data for ${member.user.username}`);
-            }
-          } catch (error) {
-            log.error(
-              `Error processing member ${member.user.username}: ${error.message}`
-            );
-          }
-        })
+    // Validate existing ingame names
+    for (const { doc, error } of findInvalidIngameNames(plan.documents)) {
+      log.warn(
+        `Invalid ingame name found for ${doc.discord_username}: "${doc.ingame_name}" - ${error}`
       );
-
-      // Add a small delay between batches to avoid rate limits
-      if (i + batchSize < nonBotMembers.length) {
-        await new Promise((resolve) => setTimeout(resolve, 100));
-      }
     }
 
+    // Warn about in-game names claimed by more than one member
+    for (const holders of findDuplicateIngameNames(plan.documents)) {
+      log.warn(
+        `Duplicate ingame name "${holders[0].ingame_name}" held by ${holders
+          .map((doc) => `${doc.discord_username} (${doc.discord_id})`)
+          .join(", ")}`
+      );
+    }
     log.info(`Finished syncing members from ${server.name}`);
+
+    // Start scheduled jobs, catching up on any missed while offline. The
+    // startup sync already covered the audit and the daily sync.
+    await scheduler.start(new Date(), { alreadyRun: ["audit", "sync"] });
   } catch (error) {
     log.error(`Initial sync failed: ${error.message}`);
     // Attempt to reconnect after delay
@@ -354,7 +295,30 @@ client.on(Events.GuildMemberAdd, async (member) => {
   if (member.guild.id === process.env.SERVER_ID && !member.user.bot) {
     log.info(`New member joined: ${member.user.username}`);
     // Create document immediately for new members
-    await syncMember(member);
+    const document = await syncMember(member, "member_join");
+    if (!document) return;
+
+    // Returning members get their old roles back, automatically when an
+    // officer already approved it or with a button otherwise
+    try {
+      if (document.restore_on_rejoin) {
+        await restoreRoles(member, document, {
+          members,
+          syncMember: syncMemberAndNickname,
+        });
+      } else if (!getGuildFromRoles(member)) {
+        await offerRoleRestore(
+          client,
+          member.user,
+          document,
+          "rejoined the server"
+        );
+      }
+    } catch (error) {
+      log.error(
+        `Error restoring roles for ${member.user.username}: ${error.message}`
+      );
+    }
   }
 });
 
@@ -392,7 +356,7 @@ function getOrCreateDebouncedGuildSync(memberId) {
               `Processing guild role change for ${member.user.username}`
             );
             await withRetry(
-              () => updateMemberFields(member, { guild }),
+              () => updateMemberFields(member, { guild }, "guild_role_update"),
               `Update guild for ${member.user.username}`
             );
           } catch (error) {
@@ -422,11 +386,15 @@ function getOrCreateDebouncedWeaponSync(memberId) {
             );
             await withRetry(
               () =>
-                updateMemberFields(member, {
-                  class: weaponInfo.class,
-                  primary_weapon: weaponInfo.primaryWeapon,
-                  secondary_weapon: weaponInfo.secondaryWeapon,
-                }),
+                updateMemberFields(
+                  member,
+                  {
+                    class: weaponInfo.class,
+                    primary_weapon: weaponInfo.primaryWeapon,
+                    secondary_weapon: weaponInfo.secondaryWeapon,
+                  },
+                  "weapon_role_update"
+                ),
               `Update weapons for ${member.user.username}`
             );
           } catch (error) {
@@ -476,15 +444,18 @@ function getOrCreateDebouncedNameSync(memberId) {
 }
 
 // Helper to update specific fields
-async function updateMemberFields(member, fields) {
+async function updateMemberFields(member, fields, source) {
   try {
     // Queue the update instead of doing it immediately
-    batchManager.queueUpdate(member.id, fields);
+    batchManager.queueUpdate(member.id, fields, source);
     log.info(
       `Queued update ${Object.keys(fields).join(", ")} for ${
         member.user.username
       }`
     );
+    if ("guild" in fields || "class" in fields) {
+      classBalance.scheduleCheck();
+    }
   } catch (error) {
     log.error(
       `Error queueing update for ${member.user.username}: ${error.message}`
@@ -492,151 +463,116 @@ async function updateMemberFields(member, fields) {
   }
 }
 
-// Audit and fix database inconsistencies
-async function auditDatabaseMembers() {
-  const SHOULD_FIX_INCONSISTENCIES = true; // Set to true to enable fixing inconsistencies
-  log.info("Starting database audit...");
-  const server = client.guilds.cache.get(process.env.SERVER_ID);
-  if (!server) {
-    log.error("Bot is not in the specified Discord server");
-    return;
-  }
-
+// Set the member's nickname from their record when nickname sync is on.
+// Resolves to the nickname sync result, or null if it did not run.
+async function syncMemberNickname(member, document) {
+  if (!isNicknameSyncEnabled()) return null;
   try {
-    // Get all current server members
-    const members = await server.members.fetch();
-    const currentMemberIds = new Set(
-      Array.from(members.values())
-        .filter((member) => !member.user.bot)
-        .map((member) => member.id)
-    );
-
-    // Fetch all documents from database
-    const limit = 100;
-    let offset = 0;
-    let allDocs = [];
-
-    while (true) {
-      const response = await databases.listDocuments(
-        process.env.APPWRITE_DATABASE_ID,
-        process.env.APPWRITE_COLLECTION_ID,
-        [Query.limit(limit), Query.offset(offset)]
-      );
-
-      allDocs = allDocs.concat(response.documents);
-
-      if (response.documents.length < limit) break;
-      offset += limit;
-    }
-
-    // Find documents with guild roles for users not in the server
-    const inconsistentDocs = allDocs.filter(
-      (doc) => doc.guild !== null && !currentMemberIds.has(doc.discord_id)
-    );
-
-    if (inconsistentDocs.length > 0) {
-      log.warn(
-        `Found ${inconsistentDocs.length} database entries with guild roles for users not in the server`
-      );
-
-      // Log details of each inconsistency
-      inconsistentDocs.forEach((doc) => {
-        log.warn(
-          `Inconsistent entry found: User ${doc.discord_username} (${doc.discord_id}) has guild "${doc.guild}" but is not in server`
-        );
-      });
-
-      if (SHOULD_FIX_INCONSISTENCIES) {
-        log.info("Fixing inconsistencies...");
-        // Fix inconsistent documents
-        for (const doc of inconsistentDocs) {
-          try {
-            await withRetry(
-              () =>
-                databases.updateDocument(
-                  process.env.APPWRITE_DATABASE_ID,
-                  process.env.APPWRITE_COLLECTION_ID,
-                  doc.$id,
-                  {
-                    guild: null,
-                    class: null,
-                    primary_weapon: null,
-                    secondary_weapon: null,
-                    has_thread: null,
-                  }
-                ),
-              `Fix inconsistent document for user ${doc.discord_username} (${doc.discord_id})`
-            );
-            log.info(
-              `Fixed inconsistent data for ${doc.discord_username} (${doc.discord_id})`
-            );
-          } catch (error) {
-            log.error(
-              `Error fixing data for ${doc.discord_username}: ${error.message}`
-            );
-          }
-        }
-      } else {
-        log.info("Fix mode is disabled. No changes were made to the database.");
-      }
-    } else {
-      log.info("No inconsistencies found in database");
-    }
+    return await syncNickname(member, document, members);
   } catch (error) {
-    log.error(`Database audit failed: ${error.message}`);
+    log.error(
+      `Error syncing nickname for ${member.user.username}: ${error.message}`
+    );
+    return null;
   }
 }
 
-// Add audit to daily sync
-async function performDailySync() {
-  log.info("Starting daily sync...");
-  const server = client.guilds.cache.get(process.env.SERVER_ID);
-  if (!server) {
-    log.error("Bot is not in the specified Discord server");
-    return;
-  }
+// Sync the member's record, then their nickname
+async function syncMemberAndNickname(member, source) {
+  const document = await syncMember(member, source);
+  if (document) await syncMemberNickname(member, document);
+}
 
+// Reconcile stored records with the server in the configured mode (see
+// getReconcileMode), post a report, then report role conflicts and sync
+// nicknames
+async function runReconciliation({
+  source,
+  mode,
+  departedOnly = false,
+  plan = null,
+}) {
+  let result;
   try {
-    // Run database audit first
-    await auditDatabaseMembers();
-
-    const members = await server.members.fetch();
-    const nonBotMembers = Array.from(members.values()).filter(
-      (member) => !member.user.bot
-    );
-    log.info(
-      `Daily sync: Processing ${nonBotMembers.length} members from ${server.name}`
-    );
-
-    // Process members in batches of 10
-    const batchSize = 10;
-    for (let i = 0; i < nonBotMembers.length; i += batchSize) {
-      const batch = nonBotMembers.slice(i, i + batchSize);
-      await Promise.all(batch.map((member) => syncMember(member)));
-
-      // Add a small delay between batches
-      if (i + batchSize < nonBotMembers.length) {
-        await new Promise((resolve) => setTimeout(resolve, 100));
-      }
-    }
-    log.info("Daily sync completed successfully");
+    result = await reconciler.reconcile({ source, mode, departedOnly, plan });
   } catch (error) {
-    log.error(`Daily sync failed: ${error.message}`);
+    await postSyncReport(client, createFailureReport(source, error));
+    throw error;
+  }
+  await postSyncReport(client, createReconciliationReport(source, result));
+  if (departedOnly) return result;
+
+  await reportRoleConflicts(client, result.plan.roleConflicts);
+  // Also run when nothing was applied, so the monitor has its starting
+  // point in dry-run and review modes
+  await classBalance.check().catch((error) => {
+    log.error(`Class balance check failed: ${error.message}`);
+  });
+  if (!result.applied) return result;
+
+  const revertedNicknames = [];
+  for (const member of result.plan.members) {
+    const document = result.documents.get(member.id);
+    const nickname = document && (await syncMemberNickname(member, document));
+    if (nickname?.reverted) {
+      revertedNicknames.push({
+        member,
+        previousNickname: nickname.previousNickname,
+      });
+    }
   }
+  if (revertedNicknames.length > 0) {
+    log.warn(
+      `${revertedNicknames.length} members changed their synced nickname back`
+    );
+    await notifyOfficers(client, formatNicknameRevertReport(revertedNicknames));
+  }
+
+  lastSuccessfulSync = Date.now();
+  return result;
 }
 
-// Schedule daily sync (runs at 00:00 UTC)
-setInterval(() => {
-  const now = new Date();
-  if (now.getUTCHours() === 0 && now.getUTCMinutes() === 0) {
-    performDailySync();
-  }
-}, 60000); // Check every minute
+// Scheduled jobs, with cron expressions (UTC) from the environment. The
+// audit clears departed members first so the sync starts from a cleaned-up
+// database. The composition report goes out weekly by default.
+const scheduler = createScheduler();
+try {
+  scheduler.addJob("audit", process.env.AUDIT_CRON || "0 0 * * *", () =>
+    runReconciliation({ source: "audit", departedOnly: true })
+  );
+  scheduler.addJob("sync", process.env.SYNC_CRON || "5 0 * * *", () =>
+    runReconciliation({ source: "daily_sync" })
+  );
+  scheduler.addJob(
+    "composition",
+    process.env.COMPOSITION_CRON || "0 12 * * 1",
+    () => postCompositionReport(client, members)
+  );
+} catch (error) {
+  log.error(`Invalid schedule: ${error.message}`);
+  process.exit(1);
+}
 
 // Modify GuildMemberUpdate to properly handle role removals
 client.on(Events.GuildMemberUpdate, async (oldMember, newMember) => {
   if (newMember.guild.id === process.env.SERVER_ID && !newMember.user.bot) {
     try {
+      recordAddedRoles(oldMember, newMember);
+
+      // Flag the record and tell officers when conflicting roles appear
+      const oldConflicts = getRoleConflicts(oldMember);
+      const newConflicts = getRoleConflicts(newMember);
+      if (!isSameConflict(oldConflicts, newConflicts)) {
+        await updateMemberFields(newMember, {
+          has_role_conflict: newConflicts !== null,
+        });
+        if (newConflicts) {
+          await reportRoleConflicts(client, [
+            { member: newMember, conflicts: newConflicts },
+          ]);
+        }
+      }
+
       // Check for guild role changes
       const oldGuildRole = getGuildFromRoles(oldMember);
       const newGuildRole = getGuildFromRoles(newMember);
@@ -686,30 +622,30 @@ client.on(Events.UserUpdate, async (oldUser, newUser) => {
 // Add handler for members leaving/being kicked
 client.on(Events.GuildMemberRemove, async (member) => {
   if (member.guild.id === process.env.SERVER_ID && !member.user.bot) {
+    forgetAddedRoles(member.id);
     try {
-      const existingDoc = documentCache.get(member.id);
+      const existingDoc =
+        documentCache.get(member.id) ??
+        (await members.getByDiscordId(member.id));
       if (existingDoc) {
+        const reason = await findRecentDepartureReason(
+          member.guild,
+          member.id,
+          { since: new Date(Date.now() - 60 * 1000) }
+        );
         await withRetry(
           () =>
-            databases.updateDocument(
-              process.env.APPWRITE_DATABASE_ID,
-              process.env.APPWRITE_COLLECTION_ID,
-              existingDoc.$id,
-              {
-                guild: null,
-                class: null,
-                primary_weapon: null,
-                secondary_weapon: null,
-                has_thread: null,
-                thread_link: null,
-              }
-            ),
+            members.recordDeparture(existingDoc.$id, reason, {
+              previous: existingDoc,
+              source: "member_remove",
+            }),
           `Update removed member ${member.user.username}`
         );
         documentCache.invalidate(member.id);
         log.info(
-          `Preserved historical data for ${member.user.username} (left server)`
+          `Preserved historical data for ${member.user.username} (${reason})`
         );
+        classBalance.scheduleCheck();
       }
     } catch (error) {
       log.error(
@@ -723,29 +659,16 @@ client.on(Events.GuildMemberRemove, async (member) => {
 client.on(Events.GuildBanAdd, async (ban) => {
   if (ban.guild.id === process.env.SERVER_ID && !ban.user.bot) {
     try {
-      const existingDoc = await databases.listDocuments(
-        process.env.APPWRITE_DATABASE_ID,
-        process.env.APPWRITE_COLLECTION_ID,
-        [Query.equal("discord_id", ban.user.id)]
-      );
+      const existingDoc = await members.getByDiscordId(ban.user.id);
 
-      if (existingDoc.documents.length > 0) {
-        const docId = existingDoc.documents[0].$id;
+      if (existingDoc) {
         // Preserve historical data but nullify guild-related fields
-        await databases.updateDocument(
-          process.env.APPWRITE_DATABASE_ID,
-          process.env.APPWRITE_COLLECTION_ID,
-          docId,
-          {
-            guild: null,
-            class: null,
-            primary_weapon: null,
-            secondary_weapon: null,
-            has_thread: null,
-            thread_link: null,
-          }
-        );
+        await members.recordDeparture(existingDoc.$id, "banned", {
+          previous: existingDoc,
+          source: "member_ban",
+        });
         log.info(`Preserved historical data for ${ban.user.username} (banned)`);
+        classBalance.scheduleCheck();
       }
     } catch (error) {
       log.error(
@@ -755,29 +678,178 @@ client.on(Events.GuildBanAdd, async (ban) => {
   }
 });
 
+client.on(Events.GuildBanRemove, async (ban) => {
+  if (ban.guild.id === process.env.SERVER_ID && !ban.user.bot) {
+    try {
+      const existingDoc = await members.getByDiscordId(ban.user.id);
+      if (existingDoc) {
+        await offerRoleRestore(client, ban.user, existingDoc, "was unbanned");
+      }
+    } catch (error) {
+      log.error(
+        `Error offering role restore for ${ban.user.username}: ${error.message}`
+      );
+    }
+  }
+});
+
+// Tell the member their name is taken and let officers know about the clash
+async function reportIngameNameConflict(interaction, ingameName, conflict) {
+  await interaction.reply({
+    content: `The in-game name "${ingameName}" is already registered to another member. Please contact an officer if this is your character.`,
+    flags: MessageFlags.Ephemeral,
+  });
+  log.warn(
+    `${interaction.user.username} tried to claim ingame name "${ingameName}" held by ${conflict.discord_username}`
+  );
+  await notifyOfficers(client, {
+    content: `⚠️ In-game name conflict: <@${interaction.user.id}> tried to set **${ingameName}**, which is already registered to <@${conflict.discord_id}> as **${conflict.ingame_name}**.`,
+    allowedMentions: { parse: [] },
+  });
+}
+
+// Officers can rename at any time, everyone else waits out the cooldown.
+// Returns true after telling the member when they can try again.
+async function replyIfOnIngameNameCooldown(interaction) {
+  if (isOfficer(interaction.member)) return false;
+
+  const doc = await members.getByDiscordId(interaction.user.id);
+  const remaining = getIngameNameCooldownRemaining(doc);
+  if (remaining === 0) return false;
+
+  const availableAt = Math.ceil((Date.now() + remaining) / 1000);
+  await interaction.reply({
+    content: `You changed your in-game name recently. You can change it again <t:${availableAt}:R>.`,
+    flags: MessageFlags.Ephemeral,
+  });
+  return true;
+}
+
 // Add button interaction handler
 client.on(Events.InteractionCreate, async (interaction) => {
+  if (
+    interaction.isChatInputCommand() ||
+    interaction.isUserContextMenuCommand()
+  ) {
+    await handleCommand(interaction, { members, history });
+    return;
+  }
+
+  if (interaction.isAutocomplete()) {
+    await handleAutocomplete(interaction);
+    return;
+  }
+
   if (interaction.isButton()) {
+    if (isApprovalButton(interaction.customId)) {
+      try {
+        await handleApprovalButton(interaction, {
+          members,
+          syncMember: syncMemberAndNickname,
+        });
+      } catch (error) {
+        log.error(`Error handling ingame name review: ${error.message}`);
+        await replyWithError(interaction);
+      }
+      return;
+    }
+
+    if (isRosterButton(interaction.customId)) {
+      try {
+        await handleRosterButton(interaction, { members });
+      } catch (error) {
+        log.error(`Error handling roster button: ${error.message}`);
+        await replyWithError(interaction);
+      }
+      return;
+    }
+
+    if (isRestoreButton(interaction.customId)) {
+      try {
+        await handleRestoreButton(interaction, {
+          members,
+          syncMember: syncMemberAndNickname,
+        });
+      } catch (error) {
+        log.error(`Error restoring roles: ${error.message}`);
+        await replyWithError(interaction);
+      }
+      return;
+    }
+
+    if (isWeaponApprovalButton(interaction.customId)) {
+      try {
+        await handleWeaponApprovalButton(interaction);
+      } catch (error) {
+        log.error(`Error handling class change review: ${error.message}`);
+        await replyWithError(interaction);
+      }
+      return;
+    }
+
+    if (isApplyPlanButton(interaction.customId)) {
+      try {
+        await handleApplyPlanButton(interaction, {
+          reconciler,
+          run: (options) =>
+            runReconciliation({ source: "reconcile_review", ...options }),
+        });
+      } catch (error) {
+        log.error(`Error applying reconciliation plan: ${error.message}`);
+        await replyWithError(interaction);
+      }
+      return;
+    }
+
+    if (isApplyButton(interaction.customId)) {
+      try {
+        await interaction.showModal(createApplicationModal());
+      } catch (error) {
+        log.error(`Error showing application modal: ${error.message}`);
+        await replyWithError(interaction);
+      }
+      return;
+    }
+
     if (interaction.customId === "setIngameName") {
       try {
-        const existingName = await getIngameName(
-          databases,
-          interaction.user.id
-        );
+        if (await replyIfOnIngameNameCooldown(interaction)) return;
+
+        const existingName = await getIngameName(members, interaction.user.id);
         const modal = createIngameNameModal(existingName);
         await interaction.showModal(modal);
       } catch (error) {
         log.error(`Error showing ingame name modal: ${error.message}`);
-        await interaction.reply({
-          content: "Sorry, there was an error. Please try again later.",
-          flags: MessageFlags.Ephemeral,
-        });
+        await replyWithError(interaction);
       }
     }
   }
 
+  if (
+    interaction.isStringSelectMenu() &&
+    isWeaponPickerSelect(interaction.customId)
+  ) {
+    try {
+      await handleWeaponPickerSelect(interaction);
+    } catch (error) {
+      log.error(`Error handling weapon picker: ${error.message}`);
+      await replyWithError(interaction);
+    }
+    return;
+  }
+
   // Handle modal submissions
   if (interaction.isModalSubmit()) {
+    if (isApplicationModal(interaction.customId)) {
+      try {
+        await handleApplicationModal(interaction, { members, syncMember });
+      } catch (error) {
+        log.error(`Error handling application: ${error.message}`);
+        await replyWithError(interaction);
+      }
+      return;
+    }
+
     if (interaction.customId === "ingameNameModal") {
       try {
         const rawIngameName =
@@ -792,13 +864,53 @@ client.on(Events.InteractionCreate, async (interaction) => {
           return;
         }
 
-        const success = await setIngameName(
-          databases,
+        // Checked again in case the modal was opened before the last change
+        if (await replyIfOnIngameNameCooldown(interaction)) return;
+
+        if (isApprovalRequired()) {
+          const conflict = await findIngameNameConflict(
+            members,
+            interaction.user.id,
+            validation.value
+          );
+          if (conflict) {
+            await reportIngameNameConflict(
+              interaction,
+              validation.value,
+              conflict
+            );
+            return;
+          }
+
+          const currentName = await getIngameName(members, interaction.user.id);
+          const request = await requestIngameNameApproval(
+            client,
+            interaction.user,
+            validation.value,
+            currentName
+          );
+          await interaction.reply({
+            content: request
+              ? `Your request to change your in-game name to "${validation.value}" has been sent to the officers. You will get a DM once it is reviewed.`
+              : "Sorry, your request could not be submitted. Please try again later.",
+            flags: MessageFlags.Ephemeral,
+          });
+          return;
+        }
+
+        const { success, conflict } = await setIngameName(
+          members,
           interaction.user.id,
           validation.value
         );
 
-        if (success) {
+        if (conflict) {
+          await reportIngameNameConflict(
+            interaction,
+            validation.value,
+            conflict
+          );
+        } else if (success) {
           await interaction.reply({
             content: `Your in-game name has been set to: ${validation.value}`,
             flags: MessageFlags.Ephemeral,
@@ -808,7 +920,7 @@ client.on(Events.InteractionCreate, async (interaction) => {
           const member = await interaction.guild.members.fetch(
             interaction.user.id
           );
-          await syncMember(member);
+          await syncMemberAndNickname(member, "ingame_name_update");
         } else {
           await interaction.reply({
             content:
@@ -818,10 +930,7 @@ client.on(Events.InteractionCreate, async (interaction) => {
         }
       } catch (error) {
         log.error(`Error handling ingame name modal: ${error.message}`);
-        await interaction.reply({
-          content: "Sorry, there was an error. Please try again later.",
-          flags: MessageFlags.Ephemeral,
-        });
+        await replyWithError(interaction);
       }
     }
   }
@@ -853,7 +962,7 @@ const handleThreadMemberSync = debounce(
       const member = await guild.members.fetch(userId).catch(() => null);
       if (member) {
         log.info(`Syncing member ${member.user.username} after thread update`);
-        await syncMember(member);
+        await syncMember(member, "thread_update");
       }
     } catch (error) {
       log.error(
@@ -913,14 +1022,78 @@ client.on(Events.ThreadUpdate, async (oldThread, newThread) => {
   }
 });
 
-process.on("SIGTERM", async () => {
-  log.info("Received SIGTERM signal, cleaning up...");
-  client.destroy();
-  process.exit(0);
-});
+const SHUTDOWN_TIMEOUT = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 10000; // 10 seconds
+let shuttingDown = false;
+
+// Run pending debounced syncs, then write the batch queue
+async function flushPendingWork() {
+  const debouncedSyncs = [
+    ...memberGuildSyncs.values(),
+    ...memberWeaponSyncs.values(),
+    ...memberNameSyncs.values(),
+    handleThreadMemberSync,
+  ];
+  log.info(`Flushing ${debouncedSyncs.length} debounced syncs...`);
+  await Promise.allSettled(debouncedSyncs.map((sync) => sync.flush()));
+
+  log.info(`Writing ${batchManager.getQueueSize()} queued updates...`);
+  await batchManager.flush();
+}
+
+// Stop taking events, flush pending work within SHUTDOWN_TIMEOUT and exit
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  log.info(`Received ${signal} signal, cleaning up...`);
 
-process.on("SIGINT", async () => {
-  log.info("Received SIGINT signal, cleaning up...");
+  // Keep the error listener so late gateway errors are still logged
+  for (const event of client.eventNames()) {
+    if (event !== "error") client.removeAllListeners(event);
+  }
+  scheduler.stop();
+  classBalance.cancel();
+  unwatchConfig();
+  healthServer.close();
+
+  let timeout;
+  const timedOut = new Promise((resolve) => {
+    timeout = setTimeout(() => resolve(true), SHUTDOWN_TIMEOUT);
+  });
+  const flushed = flushPendingWork().then(
+    () => false,
+    (error) => {
+      log.error(`Error flushing pending work: ${error.message}`);
+      return false;
+    }
+  );
+  if (await Promise.race([flushed, timedOut])) {
+    log.warn(`Gave up flushing pending work after ${SHUTDOWN_TIMEOUT}ms`);
+  }
+  clearTimeout(timeout);
+
+  const unwritten = batchManager.getQueueSize();
+  if (unwritten > 0) {
+    for (const [userId, fields] of batchManager.pendingUpdates) {
+      log.warn(
+        `Could not write update for ${userId}: ${Object.keys(fields).join(
+          ", "
+        )}`
+      );
+    }
+    log.warn(
+      journal
+        ? `${unwritten} unwritten updates remain in the journal and will be replayed on the next start`
+        : `${unwritten} unwritten updates were lost, the update journal is not available`
+    );
+  } else {
+    log.info("All pending updates were written");
+  }
+
+  await journal?.close().catch(() => {});
+  await storage.close().catch(() => {});
   client.destroy();
   process.exit(0);
-});
+}
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
@@ -0,0 +1,280 @@
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ChannelType,
+  EmbedBuilder,
+  MessageFlags,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+} from "discord.js";
+import { log } from "./logger.js";
+import { getConfig } from "./config.js";
+import { GUILD_ROLES } from "../constants/guilds.js";
+import { REVIEW_CHANNELS, threadManager } from "./threadManager.js";
+import {
+  validateIngameName,
+  findIngameNameConflict,
+  setIngameName,
+} from "./ingameName.js";
+import {
+  isApprovalRequired,
+  requestIngameNameApproval,
+} from "./ingameNameApproval.js";
+import { buildMemberRecordEmbed } from "../commands/whois.js";
+
+const APPLY_BUTTON = "applyToGuild";
+const APPLICATION_MODAL = "applicationModal";
+const MAX_THREAD_NAME = 100; // Discord's channel name limit
+const MAX_PLACEHOLDER = 100;
+
+export function isApplyButton(customId) {
+  return customId === APPLY_BUTTON;
+}
+
+export function isApplicationModal(customId) {
+  return customId === APPLICATION_MODAL;
+}
+
+// Review threads are named "<username> [<userId>]" so ThreadManager can
+// tell whose application they are
+export function getApplicationThreadName(user) {
+  const suffix = ` [${user.id}]`;
+  return `${user.username.slice(0, MAX_THREAD_NAME - suffix.length)}${suffix}`;
+}
+
+function findByName(names, value) {
+  const wanted = value.trim().toLowerCase();
+  return names.find((name) => name.toLowerCase() === wanted) ?? null;
+}
+
+// Check the modal fields against the configured guilds and classes.
+// Resolves to { valid, error } or { valid, application }.
+export function validateApplication({ ingameName, guild, className, notes }) {
+  const name = validateIngameName(ingameName);
+  if (!name.valid) {
+    return { valid: false, error: `Invalid in-game name: ${name.error}` };
+  }
+
+  const guilds = [...new Set(Object.values(GUILD_ROLES))];
+  const matchedGuild = findByName(guilds, guild);
+  if (!matchedGuild) {
+    return {
+      valid: false,
+      error: `Unknown guild "${guild}". Choose one of: ${guilds.join(", ")}`,
+    };
+  }
+
+  const classes = getConfig().classes;
+  const matchedClass = findByName(classes, className);
+  if (!matchedClass) {
+    return {
+      valid: false,
+      error: `Unknown class "${className}". Choose one of: ${classes.join(
+        ", "
+      )}`,
+    };
+  }
+
+  return {
+    valid: true,
+    application: {
+      ingameName: name.value,
+      guild: matchedGuild,
+      className: matchedClass,
+      notes: notes.trim(),
+    },
+  };
+}
+
+// Modals only hold text inputs, so the guild and class choices are listed
+// in the placeholders and checked by validateApplication
+export function createApplicationModal() {
+  const input = (id, label, placeholder = "") =>
+    new TextInputBuilder()
+      .setCustomId(id)
+      .setLabel(label)
+      .setStyle(TextInputStyle.Short)
+      .setPlaceholder(placeholder.slice(0, MAX_PLACEHOLDER));
+
+  const guilds = [...new Set(Object.values(GUILD_ROLES))];
+  const inputs = [
+    input("ingameName", "In-game name").setMaxLength(16),
+    input("guild", "Guild", guilds.join(", ")),
+    input("className", "Class", getConfig().classes.join(", ")),
+    input("notes", "Anything officers should know?")
+      .setStyle(TextInputStyle.Paragraph)
+      .setRequired(false)
+      .setMaxLength(1000),
+  ];
+
+  return new ModalBuilder()
+    .setCustomId(APPLICATION_MODAL)
+    .setTitle("Guild application")
+    .addComponents(
+      inputs.map((component) => new ActionRowBuilder().addComponents(component))
+    );
+}
+
+export async function createApplicationMessage(channel) {
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(APPLY_BUTTON)
+      .setLabel("Apply")
+      .setStyle(ButtonStyle.Primary)
+  );
+
+  try {
+    const messages = await channel.messages.fetch({ limit: 50 });
+    const existingMessage = messages.find(
+      (msg) =>
+        msg.author.id === msg.client.user.id &&
+        msg.components[0]?.components[0]?.customId === APPLY_BUTTON
+    );
+
+    if (existingMessage) {
+      log.info("Application message already exists");
+      return existingMessage;
+    }
+
+    const message = await channel.send({
+      content:
+        "Want to join one of our guilds? Press **Apply** and an officer will review your application in a private thread.",
+      components: [row],
+    });
+    log.info("Created new application message");
+    return message;
+  } catch (error) {
+    log.error(`Failed to create application message: ${error.message}`);
+    return null;
+  }
+}
+
+function buildApplicationEmbed(user, application) {
+  return new EmbedBuilder()
+    .setTitle(`Application from ${user.username}`)
+    .addFields(
+      { name: "In-game name", value: application.ingameName, inline: true },
+      { name: "Guild", value: application.guild, inline: true },
+      { name: "Class", value: application.className, inline: true },
+      { name: "Notes", value: application.notes || "*none*" }
+    )
+    .setTimestamp();
+}
+
+// Open a private review thread for the application in the review channel
+// of the applicant's class, then record the thread on their member record
+export async function submitApplication(
+  interaction,
+  application,
+  { members, syncMember }
+) {
+  const { user, member, guild } = interaction;
+  // The checks below page through every member, which can take longer than
+  // Discord allows before a first response
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  const existingThreadId = threadManager.getActiveThreadId(user.id);
+  if (existingThreadId) {
+    await interaction.editReply({
+      content: `You already have an open application: https://discord.com/channels/${guild.id}/${existingThreadId}`,
+    });
+    return null;
+  }
+
+  const reviewChannel = REVIEW_CHANNELS[application.className.toLowerCase()];
+  const channel =
+    reviewChannel &&
+    (await guild.channels.fetch(reviewChannel.channelId).catch(() => null));
+  if (!channel) {
+    await interaction.editReply({
+      content: `Applications for ${application.className} are not open yet. Please contact an officer.`,
+    });
+    return null;
+  }
+
+  const conflict = await findIngameNameConflict(
+    members,
+    user.id,
+    application.ingameName
+  );
+  if (conflict) {
+    await interaction.editReply({
+      content: `The in-game name "${application.ingameName}" is already registered to another member. Please contact an officer if this is your name.`,
+    });
+    return null;
+  }
+
+  const thread = await channel.threads.create({
+    name: getApplicationThreadName(user),
+    type: ChannelType.PrivateThread,
+    invitable: false,
+    reason: `Guild application from ${user.username}`,
+  });
+  await thread.members.add(user.id);
+  // Cache the thread now rather than waiting for the ThreadCreate event
+  threadManager.handleThreadCreate(thread);
+
+  let document = await syncMember(member, "application");
+  // Name changes go through their own review, so only a first name is
+  // recorded, either straight away or through the name approval if on
+  let nameRequested = false;
+  if (document && !document.ingame_name) {
+    if (isApprovalRequired()) {
+      nameRequested = Boolean(
+        await requestIngameNameApproval(
+          interaction.client,
+          user,
+          application.ingameName,
+          null
+        )
+      );
+    } else {
+      await setIngameName(members, user.id, application.ingameName, {
+        source: "application",
+      });
+      document = await members.getByDiscordId(user.id);
+    }
+  }
+
+  await thread.send({
+    content: `${user} applied to join **${application.guild}** as ${application.className}. An officer will be with you shortly.`,
+    embeds: [
+      buildApplicationEmbed(user, application),
+      ...(document ? [buildMemberRecordEmbed(document)] : []),
+    ],
+    allowedMentions: { users: [user.id] },
+  });
+
+  log.info(
+    `Opened application thread ${thread.name} for ${user.username} (${application.guild}, ${application.className})`
+  );
+  await interaction.editReply({
+    content: `Thanks for applying! Your application is open here: ${thread}${
+      nameRequested
+        ? `\nYour in-game name "${application.ingameName}" has been sent to the officers for approval.`
+        : ""
+    }`,
+  });
+  return thread;
+}
+
+export async function handleApplicationModal(interaction, context) {
+  const field = (id) => interaction.fields.getTextInputValue(id) ?? "";
+  const validation = validateApplication({
+    ingameName: field("ingameName"),
+    guild: field("guild"),
+    className: field("className"),
+    notes: field("notes"),
+  });
+
+  if (!validation.valid) {
+    await interaction.reply({
+      content: validation.error,
+      flags: MessageFlags.Ephemeral,
+    });
+    return null;
+  }
+  return submitApplication(interaction, validation.application, context);
+}
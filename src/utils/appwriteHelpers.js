@@ -1,12 +1,12 @@
 import { log } from "./logger.js";
-import { Query } from "node-appwrite";
+import { metrics, registry } from "./metrics.js";
 
 let isDbConnected = false;
 let connectionCheckInProgress = false;
 let lastConnectionCheck = 0;
 const CONNECTION_CHECK_INTERVAL = 5000; // 5 seconds
 
-export async function checkDatabaseConnection(databases) {
+export async function checkDatabaseConnection(storage) {
   if (connectionCheckInProgress) return isDbConnected;
 
   // Only check connection if enough time has passed since last check
@@ -16,7 +16,7 @@ export async function checkDatabaseConnection(databases) {
 
   connectionCheckInProgress = true;
   try {
-    await databases.listCollections(process.env.APPWRITE_DATABASE_ID);
+    await storage.ping();
     isDbConnected = true;
     lastConnectionCheck = Date.now();
   } catch (error) {
@@ -29,8 +29,8 @@ export async function checkDatabaseConnection(databases) {
 }
 
 // Wrapper for database operations with connection check
-export async function withDatabaseCheck(databases, operation) {
-  if (!(await checkDatabaseConnection(databases))) {
+export async function withDatabaseCheck(storage, operation) {
+  if (!(await checkDatabaseConnection(storage))) {
     throw new Error("Database connection is not available");
   }
   return operation();
@@ -39,9 +39,21 @@ export async function withDatabaseCheck(databases, operation) {
 const MAX_RETRIES = 3;
 const INITIAL_RETRY_DELAY = 1000;
 const CACHE_LIFETIME = 60000; // 1 minute cache lifetime
+const MAX_BATCH_ATTEMPTS = 10; // Batches a failing update is retried in
+
+// Client errors fail the same way however often they are retried, apart
+// from timeouts and rate limits
+function isPermanentError(error) {
+  return (
+    error.code >= 400 &&
+    error.code < 500 &&
+    error.code !== 408 &&
+    error.code !== 429
+  );
+}
 
 // Cache for Appwrite documents
-class DocumentCache {
+export class DocumentCache {
   constructor() {
     this.cache = new Map();
   }
@@ -55,14 +67,19 @@ class DocumentCache {
 
   get(userId) {
     const entry = this.cache.get(userId);
-    if (!entry) return null;
+    if (!entry) {
+      metrics.documentCacheLookups.inc({ result: "miss" });
+      return null;
+    }
 
     // Check if cache entry is still valid
     if (Date.now() - entry.timestamp > CACHE_LIFETIME) {
       this.cache.delete(userId);
+      metrics.documentCacheLookups.inc({ result: "miss" });
       return null;
     }
 
+    metrics.documentCacheLookups.inc({ result: "hit" });
     return entry.data;
   }
 
@@ -77,121 +94,308 @@ class DocumentCache {
 
 export const documentCache = new DocumentCache();
 
+registry.gauge(
+  "document_cache_size",
+  "Number of entries in the document cache",
+  () => documentCache.cache.size
+);
+
 // Batch update system
-class BatchUpdateManager {
-  constructor(databases) {
-    this.databases = databases;
+export class BatchUpdateManager {
+  constructor(members, { retryOptions = {}, journal = null } = {}) {
+    this.members = members;
+    this.retryOptions = retryOptions;
+    this.journal = journal;
     this.pendingUpdates = new Map();
+    this.pendingSources = new Map(); // userId -> Set of events behind the update
+    this.pendingJournalIds = new Map(); // userId -> entry IDs (or promises of them)
+    this.failedAttempts = new Map(); // userId -> batches the update failed in
     this.batchTimeout = null;
+    this.activeBatch = null;
   }
 
-  queueUpdate(userId, fields) {
+  // Merge fields into the member's pending update
+  addPending(userId, fields, sources, journalIds = []) {
     const existing = this.pendingUpdates.get(userId) || {};
     this.pendingUpdates.set(userId, { ...existing, ...fields });
+    if (sources.size > 0) {
+      const pending = this.pendingSources.get(userId) || new Set();
+      sources.forEach((source) => pending.add(source));
+      this.pendingSources.set(userId, pending);
+    }
+    if (journalIds.length > 0) {
+      const pending = this.pendingJournalIds.get(userId) || [];
+      this.pendingJournalIds.set(userId, [...pending, ...journalIds]);
+    }
+  }
+
+  // Put an update from a failed batch back in the queue, underneath anything
+  // queued for the member while the batch was running
+  requeue(userId, fields, sources = new Set(), journalIds = []) {
+    const newer = this.pendingUpdates.get(userId) || {};
+    this.pendingUpdates.set(userId, { ...fields, ...newer });
+    const allSources = new Set(sources);
+    this.pendingSources
+      .get(userId)
+      ?.forEach((pending) => allSources.add(pending));
+    if (allSources.size > 0) {
+      this.pendingSources.set(userId, allSources);
+    }
+    const allJournalIds = [
+      ...journalIds,
+      ...(this.pendingJournalIds.get(userId) || []),
+    ];
+    if (allJournalIds.length > 0) {
+      this.pendingJournalIds.set(userId, allJournalIds);
+    }
+  }
 
+  // Try the re-queued updates again once the database has had time to recover
+  scheduleRetry() {
+    clearTimeout(this.batchTimeout);
+    this.batchTimeout = setTimeout(() => this.processBatch(), 5000);
+  }
+
+  scheduleBatch(delay = 100) {
     if (!this.batchTimeout) {
-      this.batchTimeout = setTimeout(() => this.processBatch(), 100); // Process batch after 100ms of no new updates
+      this.batchTimeout = setTimeout(() => this.processBatch(), delay);
+    }
+  }
+
+  queueUpdate(userId, fields, source = null) {
+    const journalId = this.journal
+      ?.append(userId, fields, source)
+      .catch((error) => {
+        log.error(`Failed to journal update for ${userId}: ${error.message}`);
+        return null;
+      });
+    this.addPending(
+      userId,
+      fields,
+      new Set(source ? [source] : []),
+      journalId ? [journalId] : []
+    );
+    this.scheduleBatch(); // Process batch after 100ms of no new updates
+  }
+
+  // Re-queue updates left in the journal by a previous run
+  async replayJournal() {
+    if (!this.journal) return 0;
+
+    const entries = await this.journal.load();
+    for (const entry of entries) {
+      this.addPending(
+        entry.userId,
+        entry.fields,
+        new Set(entry.source ? entry.source.split(",") : []),
+        [entry.id]
+      );
+    }
+    if (entries.length > 0) {
+      log.info(
+        `Replaying ${entries.length} journaled updates for ${this.pendingUpdates.size} members, oldest from ${entries[0].queuedAt}`
+      );
+      this.scheduleBatch();
     }
+    return entries.length;
   }
 
-  async processBatch() {
+  // Remove the journal entries behind a settled update. Only these entries
+  // are removed, so older ones that failed stay in the journal.
+  async settleJournal(userId, journalIds = []) {
+    if (!this.journal || journalIds.length === 0) return;
+    try {
+      const ids = (await Promise.all(journalIds)).filter((id) => id !== null);
+      await this.journal.remove(ids);
+    } catch (error) {
+      log.error(
+        `Failed to clear journaled update for ${userId}: ${error.message}`
+      );
+    }
+  }
+
+  getQueueSize() {
+    return this.pendingUpdates.size;
+  }
+
+  // Write everything still queued without scheduling retries, after any
+  // batch already in flight. Resolves to the number of members whose
+  // updates are still pending.
+  async flush() {
+    clearTimeout(this.batchTimeout);
+    this.batchTimeout = null;
+    await this.activeBatch;
+    await this.processBatch();
+    clearTimeout(this.batchTimeout);
+    this.batchTimeout = null;
+    return this.getQueueSize();
+  }
+
+  processBatch() {
+    const batch = this.writeBatch();
+    this.activeBatch = batch.catch(() => {});
+    return batch;
+  }
+
+  async writeBatch() {
     if (this.pendingUpdates.size === 0) return;
 
     const updates = new Map(this.pendingUpdates);
+    const updateSources = new Map(this.pendingSources);
+    const journalIds = new Map(this.pendingJournalIds);
     this.pendingUpdates.clear();
+    this.pendingSources.clear();
+    this.pendingJournalIds.clear();
+    clearTimeout(this.batchTimeout);
     this.batchTimeout = null;
+    const flushStart = Date.now();
+    const processed = new Set();
 
     for (const [userId, fields] of updates) {
+      const source =
+        Array.from(updateSources.get(userId) || []).join(",") || undefined;
       try {
         const cachedDoc = documentCache.get(userId);
         if (cachedDoc) {
-          await withRetry(async () => {
-            await withDatabaseCheck(this.databases, () =>
-              this.databases.updateDocument(
-                process.env.APPWRITE_DATABASE_ID,
-                process.env.APPWRITE_COLLECTION_ID,
-                cachedDoc.$id,
-                fields
-              )
-            );
-          }, `Batch update for user ${userId}`);
+          await withRetry(
+            async () => {
+              await withDatabaseCheck(this.members, () =>
+                this.members.patch(cachedDoc.$id, fields, {
+                  previous: cachedDoc,
+                  source,
+                })
+              );
+            },
+            `Batch update for user ${userId}`,
+            this.retryOptions
+          );
           // Update cache with new fields
           documentCache.set(userId, { ...cachedDoc, ...fields });
+          metrics.documentsWritten.inc({ operation: "update" });
+          metrics.batchUpdatesProcessed.inc({ result: "success" });
         } else {
           // If not in cache, need to fetch first
-          const doc = await withRetry(async () => {
-            const result = await withDatabaseCheck(this.databases, () =>
-              this.databases.listDocuments(
-                process.env.APPWRITE_DATABASE_ID,
-                process.env.APPWRITE_COLLECTION_ID,
-                [Query.equal("discord_id", userId)]
-              )
+          const doc = await withRetry(
+            () =>
+              withDatabaseCheck(this.members, () =>
+                this.members.getByDiscordId(userId)
+              ),
+            `Fetch document for batch update ${userId}`,
+            this.retryOptions
+          );
+
+          if (doc) {
+            await withRetry(
+              async () => {
+                await withDatabaseCheck(this.members, () =>
+                  this.members.patch(doc.$id, fields, {
+                    previous: doc,
+                    source,
+                  })
+                );
+              },
+              `Batch update for user ${userId}`,
+              this.retryOptions
             );
-            return result;
-          }, `Fetch document for batch update ${userId}`);
-
-          if (doc.documents.length > 0) {
-            await withRetry(async () => {
-              await withDatabaseCheck(this.databases, () =>
-                this.databases.updateDocument(
-                  process.env.APPWRITE_DATABASE_ID,
-                  process.env.APPWRITE_COLLECTION_ID,
-                  doc.documents[0].$id,
-                  fields
-                )
-              );
-            }, `Batch update for user ${userId}`);
             // Cache the updated document
-            documentCache.set(userId, { ...doc.documents[0], ...fields });
+            documentCache.set(userId, { ...doc, ...fields });
+            metrics.documentsWritten.inc({ operation: "update" });
+            metrics.batchUpdatesProcessed.inc({ result: "success" });
+          } else {
+            metrics.batchUpdatesProcessed.inc({ result: "skipped" });
           }
         }
+        processed.add(userId);
+        this.failedAttempts.delete(userId);
+        await this.settleJournal(userId, journalIds.get(userId));
       } catch (error) {
         if (error.message === "Database connection is not available") {
-          // Re-queue the updates that failed due to connection issues
+          // Re-queue this update and the ones not reached yet
+          let requeued = 0;
           for (const [remainingUserId, remainingFields] of updates) {
-            if (
-              remainingUserId === userId ||
-              !this.pendingUpdates.has(remainingUserId)
-            ) {
-              this.pendingUpdates.set(remainingUserId, remainingFields);
-            }
+            if (processed.has(remainingUserId)) continue;
+            this.requeue(
+              remainingUserId,
+              remainingFields,
+              updateSources.get(remainingUserId),
+              journalIds.get(remainingUserId)
+            );
+            requeued++;
           }
+          metrics.batchUpdatesProcessed.inc({ result: "requeued" }, requeued);
           log.warn(
             `Database connection unavailable, re-queued remaining updates`
           );
-          // Set a longer timeout before retrying
-          this.batchTimeout = setTimeout(() => this.processBatch(), 5000);
+          this.scheduleRetry();
           break;
         }
+        processed.add(userId);
         log.error(
           `Failed to process batch update for ${userId}: ${error.message}`
         );
+        // Rejected updates will never succeed and the rest get a limited
+        // number of batches. Dropped updates are logged in full.
+        const attempts = (this.failedAttempts.get(userId) || 0) + 1;
+        if (isPermanentError(error) || attempts >= MAX_BATCH_ATTEMPTS) {
+          this.failedAttempts.delete(userId);
+          metrics.batchUpdatesProcessed.inc({ result: "failed" });
+          log.error(`Dropped update for ${userId}: ${JSON.stringify(fields)}`);
+          await this.settleJournal(userId, journalIds.get(userId));
+        } else {
+          this.failedAttempts.set(userId, attempts);
+          metrics.batchUpdatesProcessed.inc({ result: "requeued" });
+          this.requeue(
+            userId,
+            fields,
+            updateSources.get(userId),
+            journalIds.get(userId)
+          );
+          this.scheduleRetry();
+        }
       }
     }
+
+    metrics.batchFlushDuration.observe((Date.now() - flushStart) / 1000);
   }
 }
 
+// The gauge reports on the most recently created batch manager
+let activeBatchManager = null;
+
+registry.gauge(
+  "batch_queue_depth",
+  "Number of members with updates waiting in the batch queue",
+  () => activeBatchManager?.getQueueSize() ?? 0
+);
+
 // Export a function to create the batch manager instead of a singleton instance
-export function createBatchManager(databases) {
-  return new BatchUpdateManager(databases);
+export function createBatchManager(members, options) {
+  activeBatchManager = new BatchUpdateManager(members, options);
+  return activeBatchManager;
 }
 
-export async function withRetry(operation, context = "") {
+export async function withRetry(
+  operation,
+  context = "",
+  { retries = MAX_RETRIES, initialDelay = INITIAL_RETRY_DELAY } = {}
+) {
   let lastError;
-  let delay = INITIAL_RETRY_DELAY;
+  let delay = initialDelay;
 
-  for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+  for (let attempt = 1; attempt <= retries; attempt++) {
     try {
       return await operation();
     } catch (error) {
       lastError = error;
 
       // Don't retry if it's a validation error or similar
-      if (error.code === 400 || error.code === 404) {
+      if (isPermanentError(error)) {
+        metrics.retryFailures.inc();
         throw error;
       }
 
-      if (attempt < MAX_RETRIES) {
+      if (attempt < retries) {
+        metrics.retryAttempts.inc();
         log.warn(
           `${context} - Attempt ${attempt} failed, retrying in ${delay}ms: ${error.message}`
         );
@@ -201,6 +405,7 @@ export async function withRetry(operation, context = "") {
     }
   }
 
+  metrics.retryFailures.inc();
   log.error(`${context} - All retry attempts failed`);
   throw lastError;
 }
@@ -0,0 +1,115 @@
+import { debounce } from "lodash-es";
+import { log } from "./logger.js";
+import { getConfig } from "./config.js";
+import { notifyOfficers } from "./officerNotifications.js";
+import { buildComposition } from "./composition.js";
+
+const CHECK_DELAY = 30 * 1000; // Let queued role updates reach the database
+const MAX_CHECK_WAIT = 2 * 60 * 1000;
+
+// Configured limits as [{ guild, className, min, max }]
+export function getClassLimits() {
+  return getConfig().guilds.flatMap((guild) =>
+    Object.entries(guild.classLimits ?? {}).map(([className, limit]) => ({
+      guild: guild.name,
+      className,
+      min: limit.min ?? null,
+      max: limit.max ?? null,
+    }))
+  );
+}
+
+// Each limit with the current count and a status of "below", "above" or "ok"
+export function evaluateClassBalance(composition, limits) {
+  return limits.map((limit) => {
+    const count = composition[limit.guild]?.classes[limit.className] ?? 0;
+    let status = "ok";
+    if (limit.min !== null && count < limit.min) status = "below";
+    if (limit.max !== null && count > limit.max) status = "above";
+    return { ...limit, count, status };
+  });
+}
+
+function formatRange({ min, max }) {
+  if (min !== null && max !== null) return `${min}–${max}`;
+  return min !== null ? `at least ${min}` : `at most ${max}`;
+}
+
+function formatChange(result) {
+  const name = `**${result.guild}** ${result.className} count`;
+  if (result.status === "below") {
+    return `⚠️ ${name} dropped to ${result.count} (needs ${formatRange(
+      result
+    )})`;
+  }
+  if (result.status === "above") {
+    return `⚠️ ${name} rose to ${result.count} (allows ${formatRange(result)})`;
+  }
+  return `✅ ${name} is back in range at ${result.count} (${formatRange(
+    result
+  )})`;
+}
+
+export function formatClassBalanceAlert(changes) {
+  return {
+    content: changes.map(formatChange).join("\n").slice(0, 2000),
+    allowedMentions: { parse: [] },
+  };
+}
+
+// Watches class counts against the configured limits and posts an alert
+// when a guild crosses one, and a recovery once it is back in range. The
+// first check only records where things stand, so restarts stay quiet.
+export function createClassBalanceMonitor({ client, members }) {
+  let statuses = null;
+
+  async function check() {
+    const limits = getClassLimits();
+    if (limits.length === 0) return [];
+
+    const composition = buildComposition(await members.listAll());
+    const results = evaluateClassBalance(composition, limits);
+    const previous = statuses;
+    statuses = new Map(
+      results.map((result) => [
+        `${result.guild}:${result.className}`,
+        result.status,
+      ])
+    );
+
+    if (!previous) {
+      for (const result of results) {
+        if (result.status !== "ok") {
+          log.warn(formatChange(result).replace(/\*\*/g, ""));
+        }
+      }
+      return [];
+    }
+
+    // A limit added since the last check counts as having been in range
+    const changes = results.filter((result) => {
+      const before = previous.get(`${result.guild}:${result.className}`);
+      return (before ?? "ok") !== result.status;
+    });
+    if (changes.length > 0) {
+      await notifyOfficers(
+        client,
+        formatClassBalanceAlert(changes),
+        process.env.CLASS_BALANCE_CHANNEL_ID || process.env.OFFICER_CHANNEL_ID
+      );
+    }
+    return changes;
+  }
+
+  // Check once things settle after a burst of role changes or departures
+  const scheduleCheck = debounce(
+    () =>
+      check().catch((error) => {
+        log.error(`Class balance check failed: ${error.message}`);
+      }),
+    CHECK_DELAY,
+    { maxWait: MAX_CHECK_WAIT }
+  );
+
+  return { check, scheduleCheck, cancel: () => scheduleCheck.cancel() };
+}
@@ -0,0 +1,152 @@
+import { EmbedBuilder } from "discord.js";
+import { log } from "./logger.js";
+import { readJsonState, writeJsonState } from "./jsonState.js";
+import { getConfig } from "./config.js";
+import { notifyOfficers } from "./officerNotifications.js";
+import { GUILD_ROLES } from "../constants/guilds.js";
+import { WEAPON_ROLES } from "../constants/weapons.js";
+
+const MAX_EMBEDS = 10; // Discord's limit per message
+const MAX_FIELD_LENGTH = 1024;
+
+function comboName(primaryWeapon, secondaryWeapon) {
+  return `${primaryWeapon}/${secondaryWeapon}`;
+}
+
+function emptyGuild() {
+  return { total: 0, classes: {}, combos: {}, noWeapon: 0 };
+}
+
+// Member counts for every configured guild:
+// { [guild]: { total, classes: { [class]: n }, combos: { [combo]: n }, noWeapon } }
+export function buildComposition(docs) {
+  const composition = Object.fromEntries(
+    [...new Set(Object.values(GUILD_ROLES))].map((guild) => [
+      guild,
+      emptyGuild(),
+    ])
+  );
+
+  for (const doc of docs) {
+    const counts = composition[doc.guild];
+    if (!counts) continue;
+
+    counts.total++;
+    if (!doc.primary_weapon) {
+      counts.noWeapon++;
+      continue;
+    }
+    if (doc.class) {
+      counts.classes[doc.class] = (counts.classes[doc.class] ?? 0) + 1;
+    }
+    const combo = comboName(doc.primary_weapon, doc.secondary_weapon);
+    counts.combos[combo] = (counts.combos[combo] ?? 0) + 1;
+  }
+  return composition;
+}
+
+function formatCount(count, previous) {
+  if (previous === undefined || count === previous) return `${count}`;
+  const change = count - previous;
+  return `${count} (${change > 0 ? "+" : ""}${change})`;
+}
+
+function formatCounts(names, counts, previousCounts) {
+  const lines = names
+    .filter((name) => counts[name] || previousCounts?.[name])
+    .map(
+      (name) =>
+        `${name}: ${formatCount(
+          counts[name] ?? 0,
+          previousCounts && (previousCounts[name] ?? 0)
+        )}`
+    );
+  return lines.join("\n").slice(0, MAX_FIELD_LENGTH) || "*none*";
+}
+
+// One embed per guild. Counts that changed since `previous` (an earlier
+// snapshot, or null) show the difference.
+export function buildCompositionEmbeds(composition, previous = null) {
+  const classes = getConfig().classes;
+  const combos = [
+    ...new Set(
+      Object.values(WEAPON_ROLES).map((weapon) =>
+        comboName(weapon.primaryWeapon, weapon.secondaryWeapon)
+      )
+    ),
+  ];
+
+  return Object.entries(composition).map(([guild, counts]) => {
+    const before = previous?.composition[guild] ?? (previous && emptyGuild());
+    const embed = new EmbedBuilder()
+      .setTitle(`${guild} composition`)
+      .setDescription(`**${formatCount(counts.total, before?.total)}** members`)
+      .addFields(
+        {
+          name: "Classes",
+          value: formatCounts(classes, counts.classes, before?.classes),
+          inline: true,
+        },
+        {
+          name: "Weapon combos",
+          value: formatCounts(combos, counts.combos, before?.combos),
+          inline: true,
+        },
+        {
+          name: "No weapon role",
+          value: formatCount(counts.noWeapon, before?.noWeapon),
+          inline: true,
+        }
+      );
+    if (previous) {
+      embed.setFooter({ text: "Changes since the last scheduled report" });
+      embed.setTimestamp(new Date(previous.takenAt));
+    }
+    return embed;
+  });
+}
+
+export function getSnapshotPath() {
+  return process.env.COMPOSITION_STATE_PATH || "data/composition.json";
+}
+
+// The composition posted by the last scheduled report, or null
+export async function loadSnapshot(snapshotPath = getSnapshotPath()) {
+  try {
+    return await readJsonState(snapshotPath);
+  } catch (error) {
+    log.error(`Could not read composition snapshot: ${error.message}`);
+    return null;
+  }
+}
+
+export async function saveSnapshot(
+  composition,
+  snapshotPath = getSnapshotPath()
+) {
+  try {
+    await writeJsonState(snapshotPath, {
+      takenAt: new Date().toISOString(),
+      composition,
+    });
+  } catch (error) {
+    log.error(`Could not save composition snapshot: ${error.message}`);
+  }
+}
+
+// Scheduled post to COMPOSITION_CHANNEL_ID, or the officer channel. The
+// posted counts become the baseline for the next report.
+export async function postCompositionReport(client, members) {
+  const composition = buildComposition(await members.listAll());
+  const embeds = buildCompositionEmbeds(composition, await loadSnapshot());
+
+  for (let i = 0; i < embeds.length; i += MAX_EMBEDS) {
+    await notifyOfficers(
+      client,
+      { embeds: embeds.slice(i, i + MAX_EMBEDS) },
+      process.env.COMPOSITION_CHANNEL_ID || process.env.OFFICER_CHANNEL_ID
+    );
+  }
+  await saveSnapshot(composition);
+  log.info("Posted guild composition report");
+}
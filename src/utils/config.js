@@ -0,0 +1,275 @@
+import fs from "fs";
+import path from "path";
+import { log } from "./logger.js";
+
+// Path of the structured config file, relative to the working directory
+export function getConfigPath() {
+  return path.resolve(process.env.CONFIG_PATH || "config.json");
+}
+
+const WATCH_INTERVAL = 2000; // Poll the config file every 2 seconds
+
+let currentConfig = null;
+const listeners = new Set();
+
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim().length > 0;
+}
+
+// Validate a raw config object and return a list of human readable errors
+export function validateConfig(raw) {
+  const errors = [];
+
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return ["Config must be an object"];
+  }
+
+  const seenRoleIds = new Set();
+  const checkRoleId = (roleId, where) => {
+    if (!isNonEmptyString(roleId)) {
+      errors.push(`${where}.roleId must be a non-empty string`);
+    } else if (seenRoleIds.has(roleId)) {
+      errors.push(`${where}.roleId "${roleId}" is used more than once`);
+    } else {
+      seenRoleIds.add(roleId);
+    }
+  };
+
+  const knownClasses = Array.isArray(raw.classes)
+    ? raw.classes
+    : Array.isArray(raw.weapons)
+    ? raw.weapons.map((weapon) => weapon?.class)
+    : null;
+
+  // classLimits maps class -> { min, max }, both optional counts
+  const checkClassLimits = (limits, where) => {
+    if (!limits || typeof limits !== "object" || Array.isArray(limits)) {
+      errors.push(`${where} must be an object of class -> { min, max }`);
+      return;
+    }
+    for (const [className, limit] of Object.entries(limits)) {
+      if (knownClasses && !knownClasses.includes(className)) {
+        errors.push(`${where}.${className} is not a known class`);
+      }
+      for (const bound of ["min", "max"]) {
+        const value = limit?.[bound];
+        if (value !== undefined && !(Number.isInteger(value) && value >= 0)) {
+          errors.push(
+            `${where}.${className}.${bound} must be a non-negative integer`
+          );
+        }
+      }
+      if (
+        Number.isInteger(limit?.min) &&
+        Number.isInteger(limit?.max) &&
+        limit.min > limit.max
+      ) {
+        errors.push(`${where}.${className}.min is greater than max`);
+      }
+    }
+  };
+
+  if (!Array.isArray(raw.guilds) || raw.guilds.length === 0) {
+    errors.push("guilds must be a non-empty array");
+  } else {
+    raw.guilds.forEach((guild, index) => {
+      checkRoleId(guild?.roleId, `guilds[${index}]`);
+      if (!isNonEmptyString(guild?.name)) {
+        errors.push(`guilds[${index}].name must be a non-empty string`);
+      }
+      if (guild?.tag !== undefined && !isNonEmptyString(guild.tag)) {
+        errors.push(`guilds[${index}].tag must be a non-empty string`);
+      }
+      if (guild?.classLimits !== undefined) {
+        checkClassLimits(guild.classLimits, `guilds[${index}].classLimits`);
+      }
+    });
+  }
+
+  if (raw.classes !== undefined) {
+    if (
+      !Array.isArray(raw.classes) ||
+      !raw.classes.every((name) => isNonEmptyString(name))
+    ) {
+      errors.push("classes must be an array of non-empty strings");
+    }
+  }
+
+  if (!Array.isArray(raw.weapons) || raw.weapons.length === 0) {
+    errors.push("weapons must be a non-empty array");
+  } else {
+    raw.weapons.forEach((weapon, index) => {
+      checkRoleId(weapon?.roleId, `weapons[${index}]`);
+      for (const field of ["primary", "secondary", "class"]) {
+        if (!isNonEmptyString(weapon?.[field])) {
+          errors.push(`weapons[${index}].${field} must be a non-empty string`);
+        }
+      }
+      if (
+        knownClasses &&
+        isNonEmptyString(weapon?.class) &&
+        !knownClasses.includes(weapon.class)
+      ) {
+        errors.push(
+          `weapons[${index}].class "${weapon.class}" is not listed in classes`
+        );
+      }
+    });
+  }
+
+  if (
+    !raw.reviewChannels ||
+    typeof raw.reviewChannels !== "object" ||
+    Array.isArray(raw.reviewChannels)
+  ) {
+    errors.push("reviewChannels must be an object of class -> channel ID");
+  } else {
+    for (const [className, channelId] of Object.entries(raw.reviewChannels)) {
+      if (!isNonEmptyString(channelId)) {
+        errors.push(`reviewChannels.${className} must be a non-empty string`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Collect the numbers used by a family of numbered env vars (e.g. GUILD3_NAME)
+function getEnvNumbers(prefix) {
+  const pattern = new RegExp(`^${prefix}(\\d+)_`);
+  const numbers = new Set();
+  for (const key of Object.keys(process.env)) {
+    const match = key.match(pattern);
+    if (match) numbers.add(Number(match[1]));
+  }
+  return Array.from(numbers).sort((a, b) => a - b);
+}
+
+// Build a config from the legacy GUILDn_/WEAPONn_/*_REVIEW_CHANNEL_ID env vars
+export function configFromEnv() {
+  const guilds = getEnvNumbers("GUILD").map((number) => ({
+    roleId: process.env[`GUILD${number}_ROLE_ID`],
+    name: process.env[`GUILD${number}_NAME`],
+    tag: process.env[`GUILD${number}_TAG`],
+  }));
+
+  const weapons = getEnvNumbers("WEAPON").map((number) => ({
+    roleId: process.env[`WEAPON${number}_ROLE_ID`],
+    primary: process.env[`WEAPON${number}_PRIMARY`],
+    secondary: process.env[`WEAPON${number}_SECONDARY`],
+    class: process.env[`WEAPON${number}_CLASS`],
+  }));
+
+  const reviewChannels = {};
+  for (const [key, value] of Object.entries(process.env)) {
+    const match = key.match(/^([A-Z0-9]+)_REVIEW_CHANNEL_ID$/);
+    if (match) reviewChannels[match[1].toLowerCase()] = value;
+  }
+
+  return { guilds, weapons, reviewChannels };
+}
+
+function normalizeConfig(raw, source) {
+  const weapons = raw.weapons.map((weapon) => ({
+    roleId: weapon.roleId,
+    primary: weapon.primary,
+    secondary: weapon.secondary,
+    class: weapon.class,
+  }));
+
+  return {
+    source,
+    guilds: raw.guilds.map((guild) => ({
+      roleId: guild.roleId,
+      name: guild.name,
+      tag: guild.tag || null,
+      classLimits: guild.classLimits || {},
+    })),
+    weapons,
+    classes: raw.classes || [...new Set(weapons.map((weapon) => weapon.class))],
+    reviewChannels: { ...raw.reviewChannels },
+  };
+}
+
+function readConfig() {
+  const configPath = getConfigPath();
+  if (!fs.existsSync(configPath)) {
+    return normalizeAndValidate(configFromEnv(), "environment");
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not parse ${configPath}: ${error.message}`);
+  }
+  return normalizeAndValidate(raw, configPath);
+}
+
+function normalizeAndValidate(raw, source) {
+  const errors = validateConfig(raw);
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid config from ${source}:\n  - ${errors.join("\n  - ")}`
+    );
+  }
+  return normalizeConfig(raw, source);
+}
+
+// Load and validate the config, notifying listeners. Throws if it is invalid.
+export function loadConfig() {
+  const previous = currentConfig;
+  currentConfig = readConfig();
+  log.info(
+    `Loaded config from ${currentConfig.source}: ${currentConfig.guilds.length} guilds, ${currentConfig.weapons.length} weapon combos, ${currentConfig.classes.length} classes`
+  );
+
+  for (const listener of listeners) {
+    try {
+      listener(currentConfig, previous);
+    } catch (error) {
+      log.error(`Config listener failed: ${error.message}`);
+    }
+  }
+  return currentConfig;
+}
+
+export function getConfig() {
+  return currentConfig;
+}
+
+// Register a callback run with (config, previousConfig) on every (re)load
+export function onConfigChange(listener) {
+  listeners.add(listener);
+  if (currentConfig) listener(currentConfig, null);
+  return () => listeners.delete(listener);
+}
+
+// Reload the config file whenever it changes, keeping the old config if invalid
+export function watchConfig() {
+  const configPath = getConfigPath();
+  fs.watchFile(configPath, { interval: WATCH_INTERVAL }, (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+    log.info(`Config file ${configPath} changed, reloading...`);
+    try {
+      loadConfig();
+    } catch (error) {
+      log.error(
+        `Config reload failed, keeping previous config: ${error.message}`
+      );
+    }
+  });
+}
+
+export function unwatchConfig() {
+  fs.unwatchFile(getConfigPath());
+}
+
+// Replace the contents of an exported lookup object in place so that
+// modules holding a reference to it see reloaded values
+export function replaceObjectContents(target, source) {
+  for (const key of Object.keys(target)) {
+    delete target[key];
+  }
+  Object.assign(target, source);
+}
@@ -0,0 +1,51 @@
+import { AuditLogEvent } from "discord.js";
+import { log } from "./logger.js";
+
+const AUDIT_LOG_LIMIT = 50; // Recent kick entries searched for the member
+const KICK_RECHECK_DELAYS = [2000, 5000]; // Waits before checking again
+
+// Why the user left the server: "banned", "kicked" or "left". Bans come from
+// the ban list and kicks from the audit log, counting only kicks at or after
+// `since` (a Date, ISO string or null for any time). Without the Ban Members
+// or View Audit Log permission the answer falls back to "left".
+export async function findDepartureReason(server, userId, { since } = {}) {
+  try {
+    await server.bans.fetch(userId);
+    return "banned";
+  } catch (error) {
+    // Not banned, or the ban list can't be read
+  }
+
+  try {
+    const { entries } = await server.fetchAuditLogs({
+      type: AuditLogEvent.MemberKick,
+      limit: AUDIT_LOG_LIMIT,
+    });
+    const sinceTime = since ? new Date(since).getTime() : 0;
+    const kicked = Array.from(entries.values()).some(
+      (entry) =>
+        entry.targetId === userId && entry.createdTimestamp >= sinceTime
+    );
+    if (kicked) return "kicked";
+  } catch (error) {
+    log.warn(`Could not read the audit log for kicks: ${error.message}`);
+  }
+  return "left";
+}
+
+// findDepartureReason for a member removed moments ago. Discord can write
+// the kick to the audit log after the remove event arrives, so "left" is
+// only trusted after checking again once each of `delays` has passed.
+export async function findRecentDepartureReason(
+  server,
+  userId,
+  { since, delays = KICK_RECHECK_DELAYS } = {}
+) {
+  let reason = await findDepartureReason(server, userId, { since });
+  for (const delay of delays) {
+    if (reason !== "left") break;
+    await new Promise((resolve) => setTimeout(resolve, delay));
+    reason = await findDepartureReason(server, userId, { since });
+  }
+  return reason;
+}
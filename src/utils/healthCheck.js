@@ -1,10 +1,13 @@
+import http from "http";
 import { log } from "./logger.js";
 import { checkDatabaseConnection } from "./appwriteHelpers.js";
+import { threadManager } from "./threadManager.js";
+import { registry, METRICS_CONTENT_TYPE } from "./metrics.js";
 
-export async function checkConnections(client, databases) {
+export async function checkConnections(client, members) {
   const status = {
     discord: false,
-    appwrite: false,
+    database: false,
   };
 
   // Check Discord connection
@@ -17,15 +20,94 @@ export async function checkConnections(client, databases) {
     log.error(`Discord health check failed: ${error.message}`);
   }
 
-  // Check Appwrite connection
+  // Check storage backend connection
   try {
-    status.appwrite = await checkDatabaseConnection(databases);
+    status.database = await checkDatabaseConnection(members);
   } catch (error) {
-    log.error(`Appwrite health check failed: ${error.message}`);
+    log.error(`Database health check failed: ${error.message}`);
   }
 
   return {
-    healthy: status.discord && status.appwrite,
+    healthy: status.discord && status.database,
     status,
   };
 }
+
+// Build the full health report served on /health
+export async function getHealthReport(
+  client,
+  members,
+  batchManager,
+  getLastSuccessfulSync
+) {
+  const { healthy, status } = await checkConnections(client, members);
+  const lastSync = getLastSuccessfulSync();
+
+  return {
+    healthy,
+    status,
+    storage: members.storage.backend,
+    threadCache: {
+      initialized: threadManager.initialized,
+      activeThreads: threadManager.activeThreads.size,
+    },
+    batchQueue: {
+      pending: batchManager.getQueueSize(),
+    },
+    lastSuccessfulSync: lastSync ? new Date(lastSync).toISOString() : null,
+    uptime: Math.floor(process.uptime()),
+  };
+}
+
+// Embedded HTTP server polled by PM2, the uptime monitor and Prometheus
+export function startHealthServer({
+  client,
+  members,
+  batchManager,
+  getLastSuccessfulSync,
+  port = Number(process.env.HEALTH_PORT) || 3000,
+}) {
+  const server = http.createServer(async (req, res) => {
+    // Probes and scrapers may add a query string, so route on the path only
+    const { pathname } = new URL(req.url, "http://localhost");
+
+    if (req.method === "GET" && pathname === "/metrics") {
+      res.writeHead(200, { "Content-Type": METRICS_CONTENT_TYPE });
+      res.end(registry.render());
+      return;
+    }
+
+    if (req.method !== "GET" || pathname !== "/health") {
+      res.writeHead(404, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: "Not found" }));
+      return;
+    }
+
+    try {
+      const report = await getHealthReport(
+        client,
+        members,
+        batchManager,
+        getLastSuccessfulSync
+      );
+      res.writeHead(report.healthy ? 200 : 503, {
+        "Content-Type": "application/json",
+      });
+      res.end(JSON.stringify(report));
+    } catch (error) {
+      log.error(`Health endpoint failed: ${error.message}`);
+      res.writeHead(503, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ healthy: false, error: error.message }));
+    }
+  });
+
+  server.on("error", (error) => {
+    log.error(`Health server error: ${error.message}`);
+  });
+
+  server.listen(port, () => {
+    log.info(`Health server listening on port ${port}`);
+  });
+
+  return server;
+}
@@ -6,49 +6,175 @@ import {
   TextInputBuilder,
   TextInputStyle,
 } from "discord.js";
-import { Databases, Query } from "node-appwrite";
 import { log } from "./logger.js";
 
-export async function getIngameName(databases, userId) {
+export async function getIngameName(members, userId) {
   try {
-    const result = await databases.listDocuments(
-      process.env.APPWRITE_DATABASE_ID,
-      process.env.APPWRITE_COLLECTION_ID,
-      [Query.equal("discord_id", userId)]
-    );
-
-    if (result.documents.length > 0) {
-      return result.documents[0].ingame_name;
-    }
-    return null;
+    const doc = await members.getByDiscordId(userId);
+    return doc ? doc.ingame_name : null;
   } catch (error) {
     log.error(`Failed to get ingame name for user ${userId}: ${error.message}`);
     return null;
   }
 }
 
-export async function setIngameName(databases, userId, ingameName) {
+// Comparison key for in-game names: Unicode-normalized and case-insensitive
+export function normalizeIngameName(name) {
+  return name.normalize("NFKC").toLowerCase();
+}
+
+// The record holding this in-game name, compared like findIngameNameConflict.
+// With `history`, falls back to the member who used it most recently.
+export async function findByIngameName(members, ingameName, history = null) {
+  const [holder] = await members.listByIngameNameKey(
+    normalizeIngameName(ingameName.trim())
+  );
+  if (holder || !history) return holder || null;
+
+  const discordId = await history.findIngameNameUser(ingameName);
+  return discordId ? members.getByDiscordId(discordId) : null;
+}
+
+// Find another member's record already holding this in-game name, using the
+// normalized key stored in ingame_name_key
+export async function findIngameNameConflict(members, userId, ingameName) {
+  const holders = await members.listByIngameNameKey(
+    normalizeIngameName(ingameName)
+  );
+  return holders.find((doc) => doc.discord_id !== userId) || null;
+}
+
+// Claims in progress, by normalized name. Claims for the same name wait for
+// each other so the conflict check and the write cannot interleave.
+const pendingClaims = new Map();
+
+async function withClaimLock(key, operation) {
+  const previous = pendingClaims.get(key) || Promise.resolve();
+  const claim = previous.then(operation);
+  const settled = claim.catch(() => {});
+  pendingClaims.set(key, settled);
   try {
-    const result = await databases.listDocuments(
-      process.env.APPWRITE_DATABASE_ID,
-      process.env.APPWRITE_COLLECTION_ID,
-      [Query.equal("discord_id", userId)]
-    );
+    return await claim;
+  } finally {
+    if (pendingClaims.get(key) === settled) pendingClaims.delete(key);
+  }
+}
+
+// Store ingame_name_key on records saved before the field existed, and the
+// name keys on their history. Records sharing a name with one already keyed
+// are left for officers to resolve.
+export async function backfillIngameNameKeys(members) {
+  const historyUpdated = (await members.history?.backfillIngameNameKeys()) ?? 0;
+  if (historyUpdated > 0) {
+    log.info(`Stored in-game name keys on ${historyUpdated} history entries`);
+  }
 
-    if (result.documents.length > 0) {
-      const docId = result.documents[0].$id;
-      await databases.updateDocument(
-        process.env.APPWRITE_DATABASE_ID,
-        process.env.APPWRITE_COLLECTION_ID,
-        docId,
-        { ingame_name: ingameName }
+  let updated = 0;
+  for (const doc of await members.listAll()) {
+    if (!doc.ingame_name) continue;
+    const key = normalizeIngameName(doc.ingame_name);
+    if (doc.ingame_name_key === key) continue;
+    try {
+      await members.patch(doc.$id, { ingame_name_key: key });
+      updated++;
+    } catch (error) {
+      log.warn(
+        `Could not store in-game name key for ${doc.discord_username} (${doc.discord_id}): ${error.message}`
       );
-      return true;
     }
-    return false;
+  }
+  if (updated > 0) {
+    log.info(`Stored in-game name keys on ${updated} member records`);
+  }
+  return updated;
+}
+
+// Group records that share an in-game name, for startup warnings
+export function findDuplicateIngameNames(docs) {
+  const holdersByName = new Map();
+  for (const doc of docs) {
+    if (!doc.ingame_name) continue;
+    const key = normalizeIngameName(doc.ingame_name);
+    holdersByName.set(key, [...(holdersByName.get(key) || []), doc]);
+  }
+  return Array.from(holdersByName.values()).filter(
+    (holders) => holders.length > 1
+  );
+}
+
+// Records whose stored in-game name fails validation, as { doc, error }
+export function findInvalidIngameNames(docs) {
+  return docs
+    .filter((doc) => doc.ingame_name)
+    .map((doc) => ({ doc, error: validateIngameName(doc.ingame_name).error }))
+    .filter(({ error }) => error);
+}
+
+// Milliseconds until the member may change their name again. Controlled by
+// INGAME_NAME_COOLDOWN_HOURS (0 or unset disables the cooldown); setting a
+// first name is never blocked.
+export function getIngameNameCooldownRemaining(doc, now = Date.now()) {
+  const hours = Number(process.env.INGAME_NAME_COOLDOWN_HOURS) || 0;
+  if (!hours || !doc?.ingame_name || !doc.ingame_name_changed_at) return 0;
+
+  const availableAt =
+    new Date(doc.ingame_name_changed_at).getTime() + hours * 60 * 60 * 1000;
+  return Math.max(0, availableAt - now);
+}
+
+// Returns { success, conflict } where conflict is the record already
+// holding the name when it is taken by someone else. `source` is recorded
+// in the member history alongside the old and new name.
+export async function setIngameName(
+  members,
+  userId,
+  ingameName,
+  { source = "ingame_name_update" } = {}
+) {
+  const key = normalizeIngameName(ingameName);
+  try {
+    return await withClaimLock(key, async () => {
+      const conflict = await findIngameNameConflict(
+        members,
+        userId,
+        ingameName
+      );
+      if (conflict) {
+        return { success: false, conflict };
+      }
+
+      const doc = await members.getByDiscordId(userId);
+      if (doc) {
+        if (doc.ingame_name === ingameName) {
+          return { success: true };
+        }
+        // One timestamp for the record and its history entry
+        const changedAt = new Date().toISOString();
+        await members.patch(
+          doc.$id,
+          {
+            ingame_name: ingameName,
+            ingame_name_key: key,
+            ingame_name_changed_at: changedAt,
+          },
+          { previous: doc, source, changedAt }
+        );
+        return { success: true };
+      }
+      return { success: false };
+    });
   } catch (error) {
+    // The unique index caught a claim made elsewhere since the check
+    if (error.code === 409) {
+      const conflict = await findIngameNameConflict(
+        members,
+        userId,
+        ingameName
+      ).catch(() => null);
+      return { success: false, conflict };
+    }
     log.error(`Failed to set ingame name for user ${userId}: ${error.message}`);
-    return false;
+    return { success: false };
   }
 }
 
@@ -0,0 +1,196 @@
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  MessageFlags,
+} from "discord.js";
+import { log } from "./logger.js";
+import {
+  notifyOfficers,
+  notifyMember,
+  isOfficer,
+} from "./officerNotifications.js";
+import { findIngameNameConflict, setIngameName } from "./ingameName.js";
+
+const APPROVE_PREFIX = "ingameNameApprove";
+const REJECT_PREFIX = "ingameNameReject";
+
+// The officer message of each member's open request. A newer request
+// replaces it, so only one set of buttons per member is ever live.
+const pendingRequests = new Map(); // userId -> message
+
+// Name changes wait for officer approval when INGAME_NAME_APPROVAL=true
+export function isApprovalRequired() {
+  return process.env.INGAME_NAME_APPROVAL === "true";
+}
+
+export function isApprovalButton(customId) {
+  return (
+    customId.startsWith(`${APPROVE_PREFIX}:`) ||
+    customId.startsWith(`${REJECT_PREFIX}:`)
+  );
+}
+
+// Validated names cannot contain ":" so it is safe as a separator
+function parseApprovalButton(customId) {
+  const [prefix, userId, ingameName] = customId.split(":");
+  return { approved: prefix === APPROVE_PREFIX, userId, ingameName };
+}
+
+function withOutcome(message, outcome) {
+  return EmbedBuilder.from(message.embeds[0]).addFields({
+    name: "Outcome",
+    value: outcome,
+  });
+}
+
+// Remove the buttons from a request a newer one replaced
+async function closeSupersededRequest(message, ingameName) {
+  try {
+    await message.edit({
+      embeds: [
+        withOutcome(message, `Superseded by a request for "${ingameName}"`),
+      ],
+      components: [],
+    });
+  } catch (error) {
+    log.warn(`Failed to close superseded name request: ${error.message}`);
+  }
+}
+
+// Post a pending name change with Approve/Reject buttons for officers
+export async function requestIngameNameApproval(
+  client,
+  user,
+  ingameName,
+  currentName
+) {
+  const embed = new EmbedBuilder()
+    .setTitle("In-game name change request")
+    .setDescription(`<@${user.id}> (${user.username}) requested a new name.`)
+    .addFields(
+      { name: "Current name", value: currentName || "*not set*", inline: true },
+      { name: "Requested name", value: ingameName, inline: true }
+    )
+    .setTimestamp();
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${APPROVE_PREFIX}:${user.id}:${ingameName}`)
+      .setLabel("Approve")
+      .setStyle(ButtonStyle.Success),
+    new ButtonBuilder()
+      .setCustomId(`${REJECT_PREFIX}:${user.id}:${ingameName}`)
+      .setLabel("Reject")
+      .setStyle(ButtonStyle.Danger)
+  );
+
+  const message = await notifyOfficers(
+    client,
+    { embeds: [embed], components: [row], allowedMentions: { parse: [] } },
+    process.env.INGAME_NAME_APPROVAL_CHANNEL_ID ||
+      process.env.OFFICER_CHANNEL_ID
+  );
+  if (message) {
+    log.info(
+      `Posted ingame name request from ${user.username}: "${ingameName}"`
+    );
+    const previous = pendingRequests.get(user.id);
+    pendingRequests.set(user.id, message);
+    if (previous) {
+      await closeSupersededRequest(previous, ingameName);
+    }
+  }
+  return message;
+}
+
+// Handle an officer pressing Approve or Reject on a pending request
+export async function handleApprovalButton(
+  interaction,
+  { members, syncMember }
+) {
+  if (!isOfficer(interaction.member)) {
+    await interaction.reply({
+      content: "Only officers can review name requests.",
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const { approved, userId, ingameName } = parseApprovalButton(
+    interaction.customId
+  );
+  const pending = pendingRequests.get(userId);
+  if (pending && pending.id !== interaction.message.id) {
+    await interaction.reply({
+      content: "The member has sent a newer request, please review that one.",
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  // Acknowledge right away, the record update can take longer than 3s
+  await interaction.deferUpdate();
+
+  const reviewer = interaction.user;
+  let outcome;
+
+  if (approved) {
+    const conflict = await findIngameNameConflict(members, userId, ingameName);
+    if (conflict) {
+      await interaction.followUp({
+        content: `"${ingameName}" is now registered to <@${conflict.discord_id}>. Reject this request instead.`,
+        flags: MessageFlags.Ephemeral,
+        allowedMentions: { parse: [] },
+      });
+      return;
+    }
+
+    const { success } = await setIngameName(members, userId, ingameName, {
+      source: "ingame_name_approval",
+    });
+    if (!success) {
+      await interaction.followUp({
+        content: "Could not update the member's record. Please try again.",
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    outcome = `✅ Approved by ${reviewer}`;
+    await notifyMember(
+      interaction.client,
+      userId,
+      `Your in-game name change to "${ingameName}" was approved.`
+    );
+
+    const member = await interaction.guild.members
+      .fetch(userId)
+      .catch(() => null);
+    if (member) {
+      await syncMember(member, "ingame_name_update");
+    }
+  } else {
+    outcome = `❌ Rejected by ${reviewer}`;
+    await notifyMember(
+      interaction.client,
+      userId,
+      `Your in-game name change to "${ingameName}" was rejected. Please contact an officer if you have questions.`
+    );
+  }
+
+  log.info(
+    `Ingame name request "${ingameName}" for ${userId} ${
+      approved ? "approved" : "rejected"
+    } by ${reviewer.username}`
+  );
+
+  if (pending) {
+    pendingRequests.delete(userId);
+  }
+  await interaction.editReply({
+    embeds: [withOutcome(interaction.message, outcome)],
+    components: [],
+  });
+}
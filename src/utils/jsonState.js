@@ -0,0 +1,23 @@
+import fs from "fs";
+import path from "path";
+
+// Small JSON files the bot keeps its own state in (scheduler runs, the last
+// composition report)
+
+// Parsed contents of the file, or null if it does not exist yet
+export async function readJsonState(filePath) {
+  try {
+    return JSON.parse(await fs.promises.readFile(filePath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+export async function writeJsonState(filePath, value) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  // Write then rename so a crash cannot leave a half-written file
+  const tempPath = `${filePath}.tmp`;
+  await fs.promises.writeFile(tempPath, JSON.stringify(value, null, 2));
+  await fs.promises.rename(tempPath, filePath);
+}
@@ -0,0 +1,189 @@
+import { log } from "./logger.js";
+import { normalizeIngameName } from "./ingameName.js";
+
+// Member fields whose changes are written to the history collection
+export const TRACKED_FIELDS = [
+  "guild",
+  "class",
+  "primary_weapon",
+  "secondary_weapon",
+  "ingame_name",
+];
+
+// Normalized keys stored on in-game name entries, so a name can be looked
+// up without reading the whole history
+function nameKeys({ field, old_value, new_value }) {
+  if (field !== "ingame_name") return {};
+  return {
+    old_name_key: old_value ? normalizeIngameName(old_value) : null,
+    new_name_key: new_value ? normalizeIngameName(new_value) : null,
+  };
+}
+
+// Append-only log of changes to a member's guild and weapon fields
+export class MemberHistory {
+  constructor(collection) {
+    this.collection = collection;
+  }
+
+  get enabled() {
+    return this.collection !== null;
+  }
+
+  // List the tracked fields that differ between a stored record and new values
+  diff(previous, fields) {
+    return TRACKED_FIELDS.filter((field) => field in fields)
+      .map((field) => ({
+        field,
+        old_value: previous?.[field] ?? null,
+        new_value: fields[field] ?? null,
+      }))
+      .filter((change) => change.old_value !== change.new_value);
+  }
+
+  // Write one history entry per changed field. Never throws, so a history
+  // failure cannot block the member update it describes.
+  async record(
+    discordId,
+    previous,
+    fields,
+    source,
+    changedAt = new Date().toISOString()
+  ) {
+    if (!this.enabled) return [];
+
+    const changes = this.diff(previous, fields);
+    const entries = [];
+
+    for (const change of changes) {
+      try {
+        entries.push(
+          await this.collection.create({
+            discord_id: discordId,
+            ...change,
+            ...nameKeys(change),
+            source,
+            changed_at: changedAt,
+          })
+        );
+      } catch (error) {
+        log.error(
+          `Failed to record ${change.field} history for ${discordId}: ${error.message}`
+        );
+      }
+    }
+
+    return entries;
+  }
+
+  // In-game name entries matching the filters, oldest first
+  async listIngameNameEntries(filters = {}) {
+    let offset = 0;
+    let entries = [];
+    while (true) {
+      const { documents } = await this.collection.list({
+        filters: { ...filters, field: "ingame_name" },
+        limit: 100,
+        offset,
+      });
+      entries = entries.concat(documents);
+      if (documents.length < 100) break;
+      offset += 100;
+    }
+    return entries;
+  }
+
+  // Every in-game name the member has used, oldest first, with the time it
+  // was set (null for a name that predates the history)
+  async listIngameNameAliases(discordId) {
+    if (!this.enabled) return [];
+
+    const entries = await this.listIngameNameEntries({
+      discord_id: discordId,
+    });
+    const aliases = [];
+    if (entries.length > 0 && entries[0].old_value) {
+      aliases.push({ name: entries[0].old_value, set_at: null });
+    }
+    for (const entry of entries) {
+      if (entry.new_value) {
+        aliases.push({ name: entry.new_value, set_at: entry.changed_at });
+      }
+    }
+    return aliases;
+  }
+
+  // Discord ID of the member who most recently used this in-game name, old
+  // or current, compared like findByIngameName. Null if nobody has.
+  async findIngameNameUser(ingameName) {
+    if (!this.enabled) return null;
+
+    const key = normalizeIngameName(ingameName.trim());
+    const latest = await Promise.all(
+      ["new_name_key", "old_name_key"].map(async (field) => {
+        const { documents } = await this.collection.list({
+          filters: { [field]: key },
+          limit: 1,
+          order: "desc",
+        });
+        return documents[0] ?? null;
+      })
+    );
+    const entry = latest
+      .filter(Boolean)
+      .sort((a, b) => b.$createdAt.localeCompare(a.$createdAt))[0];
+    return entry?.discord_id ?? null;
+  }
+
+  // Store the name keys on in-game name entries recorded before they
+  // existed. Resolves to the number of entries updated.
+  async backfillIngameNameKeys() {
+    if (!this.enabled) return 0;
+
+    let updated = 0;
+    for (const entry of await this.listIngameNameEntries()) {
+      const keys = nameKeys(entry);
+      if (
+        entry.old_name_key === keys.old_name_key &&
+        entry.new_name_key === keys.new_name_key
+      ) {
+        continue;
+      }
+      await this.collection.update(entry.$id, keys);
+      updated++;
+    }
+    return updated;
+  }
+
+  // Most recent changes first
+  async listForMember(discordId, { limit = 25, offset = 0 } = {}) {
+    if (!this.enabled) return { documents: [], total: 0 };
+    return this.collection.list({
+      filters: { discord_id: discordId },
+      limit,
+      offset,
+      order: "desc",
+    });
+  }
+}
+
+// The Appwrite history collection needs old_name_key and new_name_key string
+// attributes for in-game name lookups
+export function createMemberHistory(storage) {
+  if (
+    storage.backend === "appwrite" &&
+    !process.env.APPWRITE_HISTORY_COLLECTION_ID
+  ) {
+    log.warn(
+      "APPWRITE_HISTORY_COLLECTION_ID is not set, member history is disabled"
+    );
+    return new MemberHistory(null);
+  }
+
+  return new MemberHistory(
+    storage.collection(
+      "member_history",
+      process.env.APPWRITE_HISTORY_COLLECTION_ID
+    )
+  );
+}
@@ -0,0 +1,159 @@
+import { TRACKED_FIELDS } from "./memberHistory.js";
+
+// Fields cleared when a member leaves, is banned or is no longer in the server
+export const GUILD_FIELDS = {
+  guild: null,
+  class: null,
+  primary_weapon: null,
+  secondary_weapon: null,
+  has_thread: null,
+  thread_link: null,
+};
+
+const PAGE_SIZE = 100; // Appwrite's recommended limit
+
+// Member records keyed by discord_id, independent of the storage backend.
+// Writes that pass a `source` are recorded in the member history.
+export class MemberRepository {
+  constructor(collection, storage, { history = null } = {}) {
+    this.collection = collection;
+    this.storage = storage;
+    this.history = history;
+  }
+
+  async recordHistory(previous, fields, source, changedAt) {
+    if (!source || !this.history?.enabled) return;
+    if (!TRACKED_FIELDS.some((field) => field in fields)) return;
+
+    const discordId = previous?.discord_id || fields.discord_id;
+    if (!discordId) return;
+    await this.history.record(discordId, previous, fields, source, changedAt);
+  }
+
+  ping() {
+    return this.storage.ping();
+  }
+
+  async getByDiscordId(discordId) {
+    const { documents } = await this.collection.list({
+      filters: { discord_id: discordId },
+      limit: 1,
+    });
+    return documents[0] || null;
+  }
+
+  // Records holding the in-game name with this normalized key. The key is
+  // unique, so there is at most one unless older duplicates predate it.
+  async listByIngameNameKey(key) {
+    const { documents } = await this.collection.list({
+      filters: { ingame_name_key: key },
+    });
+    return documents;
+  }
+
+  async create(data, { source } = {}) {
+    const document = await this.collection.create(data);
+    await this.recordHistory({}, data, source);
+    return document;
+  }
+
+  // Update the member's record, creating it if it does not exist yet
+  async upsert(discordId, data, context = {}) {
+    const existing = await this.getByDiscordId(discordId);
+    if (existing) {
+      const document = await this.patch(existing.$id, data, {
+        ...context,
+        previous: existing,
+      });
+      return { document, created: false };
+    }
+    const document = await this.create(
+      { ...data, discord_id: discordId },
+      context
+    );
+    return { document, created: true };
+  }
+
+  // `previous` is the stored record before the change, when the caller has
+  // it. `changedAt` stamps the history entries (defaults to now).
+  async patch(documentId, fields, { previous, source, changedAt } = {}) {
+    const needsPrevious =
+      source &&
+      !previous &&
+      this.history?.enabled &&
+      TRACKED_FIELDS.some((field) => field in fields);
+    const before = needsPrevious
+      ? await this.collection.get(documentId)
+      : previous;
+    const document = await this.collection.update(documentId, fields);
+    await this.recordHistory(before, fields, source, changedAt);
+    return document;
+  }
+
+  list({ filters = {}, limit = PAGE_SIZE, offset = 0 } = {}) {
+    return this.collection.list({ filters, limit, offset });
+  }
+
+  // Page through every record matching the filters
+  async listAll(filters = {}) {
+    let offset = 0;
+    let allDocs = [];
+
+    while (true) {
+      const { documents } = await this.list({
+        filters,
+        limit: PAGE_SIZE,
+        offset,
+      });
+
+      allDocs = allDocs.concat(documents);
+
+      if (documents.length < PAGE_SIZE) break;
+      offset += PAGE_SIZE;
+    }
+
+    return allDocs;
+  }
+
+  // Clear the guild fields, keeping the guild and weapons in last_* fields
+  // so they can be restored if the member comes back. `fields` are written
+  // in the same update.
+  async clearGuildFields(documentId, context = {}, fields = {}) {
+    const previous =
+      context.previous ?? (await this.collection.get(documentId));
+    const lastKnown =
+      previous?.guild || previous?.primary_weapon
+        ? {
+            last_guild: previous.guild ?? null,
+            last_primary_weapon: previous.primary_weapon ?? null,
+            last_secondary_weapon: previous.secondary_weapon ?? null,
+          }
+        : {};
+    return this.patch(
+      documentId,
+      { ...GUILD_FIELDS, ...lastKnown, ...fields },
+      { ...context, previous }
+    );
+  }
+
+  // Clear the guild fields of a member who left, noting when and why
+  // (left, kicked or banned)
+  recordDeparture(documentId, reason, context = {}) {
+    return this.clearGuildFields(documentId, context, {
+      left_at: new Date().toISOString(),
+      departure_reason: reason,
+    });
+  }
+}
+
+// The Appwrite members collection needs an ingame_name_key string attribute
+// with a unique index; SQLite creates its index itself
+export function createMemberRepository(storage, options) {
+  return new MemberRepository(
+    storage.collection("members", process.env.APPWRITE_COLLECTION_ID, {
+      uniqueFields: ["ingame_name_key"],
+    }),
+    storage,
+    options
+  );
+}
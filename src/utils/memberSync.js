@@ -0,0 +1,197 @@
+import { log } from "./logger.js";
+import { getGuildFromRoles } from "../constants/guilds.js";
+import { getWeaponInfoFromRoles } from "../constants/weapons.js";
+import { threadManager } from "./threadManager.js";
+import { withRetry } from "./appwriteHelpers.js";
+import { metrics } from "./metrics.js";
+import { getRoleConflicts } from "./roleConflicts.js";
+
+// Member record fields derived from Discord, for comparison with the stored
+// record. Keeps the stored weapon fields when the member has no weapon role.
+export async function buildMemberRecord(member, existingDoc = null) {
+  const guild = getGuildFromRoles(member);
+  const weaponInfo = getWeaponInfoFromRoles(member);
+
+  const hasThread = await threadManager.hasActiveThread(member.id);
+  let threadLink = null;
+  if (hasThread) {
+    const threadId = threadManager.getActiveThreadId(member.id);
+    try {
+      const thread = await member.guild.channels.fetch(threadId);
+      if (thread) {
+        threadLink = `https://discord.com/channels/${member.guild.id}/${thread.id}`;
+      }
+    } catch (error) {
+      log.error(
+        `Error fetching thread for ${member.user.username}: ${error.message}`
+      );
+    }
+  }
+
+  const record = {
+    discord_id: member.id,
+    discord_username: member.user.username,
+    discord_nickname: member.nickname || member.user.displayName || null,
+    class: weaponInfo.class,
+    primary_weapon: weaponInfo.primaryWeapon,
+    secondary_weapon: weaponInfo.secondaryWeapon,
+    guild: guild,
+    has_thread: hasThread,
+    thread_link: threadLink,
+    has_role_conflict: getRoleConflicts(member) !== null,
+    joined_at: member.joinedAt?.toISOString() ?? null,
+  };
+
+  if (existingDoc) {
+    record.ingame_name = existingDoc.ingame_name;
+    record.joined_at ??= existingDoc.joined_at ?? null;
+    // A new join date means the member left and came back
+    record.rejoin_count = existingDoc.rejoin_count ?? 0;
+    if (existingDoc.joined_at && record.joined_at !== existingDoc.joined_at) {
+      record.rejoin_count++;
+    }
+    // The member is in the server, so any recorded departure is over
+    if (existingDoc.left_at) {
+      record.left_at = null;
+      record.departure_reason = null;
+    }
+    if (!weaponInfo.class) {
+      record.class = existingDoc.class;
+      record.primary_weapon = existingDoc.primary_weapon;
+      record.secondary_weapon = existingDoc.secondary_weapon;
+    }
+  } else {
+    record.ingame_name = null;
+    record.rejoin_count = 0;
+  }
+  return record;
+}
+
+// Fields of `desired` that differ from the stored record, including fields
+// the stored record does not have yet
+export function diffMemberRecord(existingDoc, desired) {
+  const changes = {};
+  for (const [field, value] of Object.entries(desired)) {
+    if (!(field in existingDoc) || existingDoc[field] !== value) {
+      changes[field] = value;
+    }
+  }
+  return changes;
+}
+
+// Tally of reconcileMember outcomes for the end-of-sync summary
+export function createSyncSummary() {
+  const counts = {
+    created: 0,
+    updated: 0,
+    unchanged: 0,
+    cleared: 0,
+    failed: 0,
+  };
+  return {
+    counts,
+    add(outcome) {
+      counts[outcome]++;
+    },
+    toString() {
+      return Object.entries(counts)
+        .map(([outcome, count]) => `${count} ${outcome}`)
+        .join(", ");
+    },
+  };
+}
+
+// Work out the write that brings one member's record in line with Discord:
+// { type: "create", member, record }, { type: "update", member, doc,
+// changes } or { type: "unchanged", member, doc }
+export async function planMember(member, existingDoc) {
+  const desired = await buildMemberRecord(member, existingDoc);
+  if (!existingDoc) {
+    return { type: "create", member, record: desired };
+  }
+
+  const changes = diffMemberRecord(existingDoc, desired);
+  if (Object.keys(changes).length === 0) {
+    return { type: "unchanged", member, doc: existingDoc };
+  }
+  return { type: "update", member, doc: existingDoc, changes };
+}
+
+// Write a planned member change. Resolves to { document, outcome, error }
+// where outcome is created, updated, unchanged, cleared (the member lost
+// their guild) or failed, and error is the failure message.
+export async function applyMemberChange(members, change, source) {
+  const { member } = change;
+  try {
+    if (change.type === "unchanged") {
+      return { document: change.doc, outcome: "unchanged" };
+    }
+
+    if (change.type === "create") {
+      const document = await withRetry(
+        () => members.create(change.record, { source }),
+        `Create document for ${member.user.username}`
+      );
+      metrics.documentsWritten.inc({ operation: "create" });
+      log.info(`Created new member data for ${member.user.username}`);
+      return { document, outcome: "created" };
+    }
+
+    const document = await withRetry(
+      () =>
+        members.patch(change.doc.$id, change.changes, {
+          previous: change.doc,
+          source,
+        }),
+      `Update document for ${member.user.username}`
+    );
+    metrics.documentsWritten.inc({ operation: "update" });
+    log.info(
+      `Updated ${Object.keys(change.changes).join(", ")} for ${
+        member.user.username
+      }`
+    );
+    const cleared = change.doc.guild && change.changes.guild === null;
+    return { document, outcome: cleared ? "cleared" : "updated" };
+  } catch (error) {
+    log.error(`Error syncing member ${member.user.username}: ${error.message}`);
+    if (error.code) {
+      log.error(`Error code: ${error.code}`);
+    }
+    return { document: null, outcome: "failed", error: error.message };
+  }
+}
+
+// Single-member sync bound to a member repository
+export function createMemberSync({ members }) {
+  // Bring the member's stored record in line with Discord, writing only the
+  // fields that changed. Pass `existingDoc` when the caller already has the
+  // record (undefined means look it up). Resolves to { document, outcome }.
+  async function reconcileMember(member, source, existingDoc) {
+    metrics.syncMemberRuns.inc();
+    try {
+      if (existingDoc === undefined) {
+        existingDoc = await withRetry(
+          () => members.getByDiscordId(member.id),
+          `Fetch document for ${member.user.username}`
+        );
+      }
+      const change = await planMember(member, existingDoc);
+      return await applyMemberChange(members, change, source);
+    } catch (error) {
+      log.error(
+        `Error syncing member ${member.user.username}: ${error.message}`
+      );
+      return { document: null, outcome: "failed", error: error.message };
+    }
+  }
+
+  // Sync member data to Appwrite. `source` names the event in member history.
+  // Resolves to the saved record, or null if the sync failed.
+  async function syncMember(member, source = "member_sync") {
+    const { document } = await reconcileMember(member, source);
+    return document;
+  }
+
+  return { syncMember, reconcileMember };
+}
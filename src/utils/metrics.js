@@ -0,0 +1,170 @@
+// Minimal Prometheus metrics registry rendered in the text exposition format
+
+const METRIC_PREFIX = "guild_db_";
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries
+    .map(
+      ([key, value]) =>
+        `${key}="${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`
+    )
+    .join(",")}}`;
+}
+
+function labelKey(labels) {
+  return JSON.stringify(
+    Object.keys(labels)
+      .sort()
+      .map((key) => [key, labels[key]])
+  );
+}
+
+class Counter {
+  constructor(name, help) {
+    this.name = METRIC_PREFIX + name;
+    this.help = help;
+    this.type = "counter";
+    this.values = new Map(); // labelKey -> { labels, value }
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = labelKey(labels);
+    const entry = this.values.get(key) || { labels, value: 0 };
+    entry.value += amount;
+    this.values.set(key, entry);
+  }
+
+  get(labels = {}) {
+    return this.values.get(labelKey(labels))?.value || 0;
+  }
+
+  collect() {
+    return Array.from(this.values.values()).map(
+      ({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`
+    );
+  }
+}
+
+class Gauge {
+  constructor(name, help, collectFn = null) {
+    this.name = METRIC_PREFIX + name;
+    this.help = help;
+    this.type = "gauge";
+    this.value = 0;
+    this.collectFn = collectFn;
+  }
+
+  set(value) {
+    this.value = value;
+  }
+
+  collect() {
+    const value = this.collectFn ? this.collectFn() : this.value;
+    return [`${this.name} ${value}`];
+  }
+}
+
+class Histogram {
+  constructor(name, help, buckets) {
+    this.name = METRIC_PREFIX + name;
+    this.help = help;
+    this.type = "histogram";
+    this.buckets = buckets;
+    this.counts = buckets.map(() => 0);
+    this.sum = 0;
+    this.count = 0;
+  }
+
+  observe(value) {
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) this.counts[index]++;
+    });
+    this.sum += value;
+    this.count++;
+  }
+
+  collect() {
+    return [
+      ...this.buckets.map(
+        (bound, index) =>
+          `${this.name}_bucket{le="${bound}"} ${this.counts[index]}`
+      ),
+      `${this.name}_bucket{le="+Inf"} ${this.count}`,
+      `${this.name}_sum ${this.sum}`,
+      `${this.name}_count ${this.count}`,
+    ];
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  counter(name, help) {
+    return this.register(new Counter(name, help));
+  }
+
+  gauge(name, help, collectFn) {
+    return this.register(new Gauge(name, help, collectFn));
+  }
+
+  histogram(name, help, buckets) {
+    return this.register(new Histogram(name, help, buckets));
+  }
+
+  register(metric) {
+    if (!this.metrics.has(metric.name)) {
+      this.metrics.set(metric.name, metric);
+    }
+    return this.metrics.get(metric.name);
+  }
+
+  render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      lines.push(...metric.collect());
+    }
+    return lines.join("\n") + "\n";
+  }
+}
+
+export const registry = new MetricsRegistry();
+
+export const metrics = {
+  syncMemberRuns: registry.counter(
+    "sync_member_runs_total",
+    "Number of member sync runs"
+  ),
+  documentsWritten: registry.counter(
+    "documents_written_total",
+    "Member documents written to Appwrite, by operation"
+  ),
+  retryAttempts: registry.counter(
+    "retry_attempts_total",
+    "Failed attempts inside withRetry that were retried"
+  ),
+  retryFailures: registry.counter(
+    "retry_failures_total",
+    "Operations that failed after all withRetry attempts"
+  ),
+  batchFlushDuration: registry.histogram(
+    "batch_flush_duration_seconds",
+    "Time taken to flush the batch update queue",
+    [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+  ),
+  batchUpdatesProcessed: registry.counter(
+    "batch_updates_processed_total",
+    "Batched member updates processed, by result"
+  ),
+  documentCacheLookups: registry.counter(
+    "document_cache_lookups_total",
+    "Document cache lookups, by result"
+  ),
+};
+
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
@@ -5,6 +5,7 @@ import dotenv from "dotenv";
 import { Client, GatewayIntentBits } from "discord.js";
 import { log } from "./logger.js";
 import { GUILD_ROLES } from "../constants/guilds.js";
+import { normalizeIngameName } from "./ingameName.js";
 import fs from "fs";
 
 dotenv.config();
@@ -122,7 +123,10 @@ async function migrateIngameNames() {
                 process.env.APPWRITE_DATABASE_ID,
                 process.env.APPWRITE_COLLECTION_ID,
                 existingDoc.$id,
-                { ingame_name }
+                {
+                  ingame_name,
+                  ingame_name_key: normalizeIngameName(ingame_name),
+                }
               );
               const member = discordMembers.get(user_id);
               const username = member ? member.user.username : user_id;
@@ -0,0 +1,90 @@
+import { RESTJSONErrorCodes } from "discord.js";
+import { log } from "./logger.js";
+import { getGuildFromRoles, GUILD_TAGS } from "../constants/guilds.js";
+
+const MAX_NICKNAME_LENGTH = 32; // Discord's nickname limit
+
+// Nicknames follow in-game names when NICKNAME_SYNC=true
+export function isNicknameSyncEnabled() {
+  return process.env.NICKNAME_SYNC === "true";
+}
+
+// "[TAG] Name" when NICKNAME_GUILD_TAG=true and the member is in a guild.
+// The tag is dropped if it would push the nickname past Discord's limit.
+export function formatNickname(ingameName, guildName) {
+  if (!ingameName) return null;
+
+  const tag =
+    process.env.NICKNAME_GUILD_TAG === "true" && guildName
+      ? GUILD_TAGS[guildName] || guildName
+      : null;
+  const nickname = tag ? `[${tag}] ${ingameName}` : ingameName;
+  return nickname.length <= MAX_NICKNAME_LENGTH ? nickname : ingameName;
+}
+
+// Set the member's nickname from their record. Returns
+// { status, reverted, previousNickname } where status is "updated",
+// "unchanged", "skipped" or "failed", and reverted means the member
+// changed a nickname we had set back by hand.
+export async function syncNickname(member, doc, members) {
+  const previousNickname = member.nickname;
+  const expected = formatNickname(doc?.ingame_name, getGuildFromRoles(member));
+  if (!expected) {
+    return { status: "skipped", reverted: false, previousNickname };
+  }
+
+  if (previousNickname === expected) {
+    if (doc.synced_nickname !== expected) {
+      await members.patch(doc.$id, { synced_nickname: expected });
+    }
+    return { status: "unchanged", reverted: false, previousNickname };
+  }
+
+  const reverted = doc.synced_nickname === expected;
+
+  // Covers the server owner and members whose top role is above the bot's
+  if (!member.manageable) {
+    log.warn(
+      `Cannot set nickname for ${member.user.username}: their highest role is above the bot's`
+    );
+    return { status: "skipped", reverted, previousNickname };
+  }
+
+  try {
+    await member.setNickname(expected, "Sync nickname to in-game name");
+  } catch (error) {
+    if (error.code === RESTJSONErrorCodes.MissingPermissions) {
+      log.warn(
+        `Cannot set nickname for ${member.user.username}: the bot is missing the Manage Nicknames permission`
+      );
+    } else {
+      log.error(
+        `Error setting nickname for ${member.user.username}: ${error.message}`
+      );
+    }
+    return { status: "failed", reverted, previousNickname };
+  }
+
+  await members.patch(doc.$id, { synced_nickname: expected });
+  log.info(`Set nickname for ${member.user.username} to "${expected}"`);
+  return { status: "updated", reverted, previousNickname };
+}
+
+// Officer message listing members who changed their synced nickname back.
+// Takes [{ member, previousNickname }].
+export function formatNicknameRevertReport(revertedMembers) {
+  const lines = revertedMembers.map(
+    ({ member, previousNickname }) =>
+      `- <@${member.id}>: had changed it to **${
+        previousNickname || member.user.username
+      }**`
+  );
+  return {
+    content: `✏️ ${revertedMembers.length} member${
+      revertedMembers.length === 1 ? "" : "s"
+    } changed their nickname away from their in-game name:\n${lines.join(
+      "\n"
+    )}`.slice(0, 2000),
+    allowedMentions: { parse: [] },
+  };
+}
@@ -0,0 +1,61 @@
+import { MessageFlags, PermissionFlagsBits } from "discord.js";
+import { log } from "./logger.js";
+
+// Officers hold OFFICER_ROLE_ID when it is set, otherwise Manage Roles
+export function isOfficer(member) {
+  if (!member) return false;
+  if (process.env.OFFICER_ROLE_ID) {
+    return member.roles.cache.has(process.env.OFFICER_ROLE_ID);
+  }
+  return member.permissions.has(PermissionFlagsBits.ManageRoles);
+}
+
+// Post a message to the officer channel. `channelId` lets a feature use its
+// own channel and fall back to OFFICER_CHANNEL_ID.
+export async function notifyOfficers(
+  client,
+  message,
+  channelId = process.env.OFFICER_CHANNEL_ID
+) {
+  if (!channelId) {
+    log.warn("No officer channel configured, skipping officer notification");
+    return null;
+  }
+
+  try {
+    const channel = await client.channels.fetch(channelId);
+    if (!channel) {
+      log.warn(`Officer channel ${channelId} not found`);
+      return null;
+    }
+    return await channel.send(message);
+  } catch (error) {
+    log.error(`Failed to notify officers: ${error.message}`);
+    return null;
+  }
+}
+
+// DM a member about the outcome of their request. Members can have DMs
+// closed, so a failure is only logged.
+export async function notifyMember(client, userId, content) {
+  try {
+    const user = await client.users.fetch(userId);
+    await user.send(content);
+    return true;
+  } catch (error) {
+    log.warn(`Could not DM ${userId}: ${error.message}`);
+    return false;
+  }
+}
+
+// Tell the user something went wrong, however far the interaction got
+export async function replyWithError(interaction) {
+  const reply = {
+    content: "Sorry, there was an error. Please try again later.",
+    flags: MessageFlags.Ephemeral,
+  };
+  await (interaction.replied || interaction.deferred
+    ? interaction.followUp(reply)
+    : interaction.reply(reply)
+  ).catch(() => {});
+}
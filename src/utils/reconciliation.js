@@ -0,0 +1,388 @@
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  MessageFlags,
+} from "discord.js";
+import { log } from "./logger.js";
+import { withRetry, documentCache } from "./appwriteHelpers.js";
+import { metrics } from "./metrics.js";
+import { notifyOfficers, isOfficer } from "./officerNotifications.js";
+import { getRoleConflicts } from "./roleConflicts.js";
+import { findDepartureReason } from "./departures.js";
+import { getGuildFromRoles } from "../constants/guilds.js";
+import { getWeaponInfoFromRoles } from "../constants/weapons.js";
+import {
+  planMember,
+  applyMemberChange,
+  createSyncSummary,
+} from "./memberSync.js";
+
+export const RECONCILE_MODES = ["apply", "dry-run", "review"];
+export const APPLY_PLAN_BUTTON = "reconcileApply";
+
+const BATCH_SIZE = 10; // Members planned or written at a time
+const MAX_PLAN_LENGTH = 1800; // Leaves room in a 2000 character message
+
+// What a reconciliation does with its plan, from RECONCILE_MODE:
+//   apply   - write the changes (default)
+//   dry-run - log the plan without writing anything
+//   review  - post the plan to officers with a button to apply it
+export function getReconcileMode() {
+  const mode = process.env.RECONCILE_MODE || "apply";
+  if (!RECONCILE_MODES.includes(mode)) {
+    log.warn(`Unknown RECONCILE_MODE "${mode}", using dry-run`);
+    return "dry-run";
+  }
+  return mode;
+}
+
+async function inBatches(items, handler) {
+  for (let i = 0; i < items.length; i += BATCH_SIZE) {
+    await Promise.all(items.slice(i, i + BATCH_SIZE).map(handler));
+    // Add a small delay between batches to avoid rate limits
+    if (i + BATCH_SIZE < items.length) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+  }
+}
+
+function formatValue(value) {
+  return value === null || value === undefined ? "none" : String(value);
+}
+
+// One line describing a planned create or update
+export function describeChange(change) {
+  const name = `${change.member.user.username} (${change.member.id})`;
+  if (change.type === "create") {
+    return `+ ${name}: new record (${formatValue(
+      change.record.guild
+    )}, ${formatValue(change.record.class)})`;
+  }
+  const fields = Object.entries(change.changes).map(
+    ([field, value]) =>
+      `${field} ${formatValue(change.doc[field])} → ${formatValue(value)}`
+  );
+  return `~ ${name}: ${fields.join(", ")}`;
+}
+
+// One line describing a departed member's record being cleared
+export function describeClear(doc) {
+  return `- ${doc.discord_username} (${doc.discord_id}): left the server, clear guild ${doc.guild}`;
+}
+
+// Human readable list of the plan's changes, one line per member, cut
+// short with "…and N more" past `maxLength` characters
+export function formatPlan(plan, maxLength = MAX_PLAN_LENGTH) {
+  const lines = [
+    ...plan.changes.map(describeChange),
+    ...plan.clears.map(describeClear),
+  ];
+
+  const shown = [];
+  let length = 0;
+  for (const line of lines) {
+    if (length + line.length + 1 > maxLength - 20) {
+      shown.push(`…and ${lines.length - shown.length} more`);
+      break;
+    }
+    shown.push(line);
+    length += line.length + 1;
+  }
+  return shown.join("\n");
+}
+
+// One line count of the plan's contents
+export function describePlan(plan) {
+  const creates = plan.changes.filter((c) => c.type === "create").length;
+  return `${creates} to create, ${plan.changes.length - creates} to update, ${
+    plan.clears.length
+  } departed to clear, ${plan.unchanged.length} unchanged`;
+}
+
+export function isPlanEmpty(plan) {
+  return plan.changes.length === 0 && plan.clears.length === 0;
+}
+
+function planLines(plan) {
+  return [
+    ...plan.changes.map(describeChange),
+    ...plan.clears.map(describeClear),
+  ].sort();
+}
+
+// Whether two plans make the same changes with the same old values
+function isSamePlan(a, b) {
+  return JSON.stringify(planLines(a)) === JSON.stringify(planLines(b));
+}
+
+// Plans and applies the changes that bring stored member records in line
+// with the Discord server
+export function createReconciler({ client, members }) {
+  // Plans posted for review, by the ID of the officer message showing them
+  const reviewedPlans = new Map();
+
+  // Compare every server member with their stored record, and find records
+  // still holding a guild for people who left. With `departedOnly` only the
+  // departed members are checked.
+  async function buildPlan({ departedOnly = false } = {}) {
+    const server = client.guilds.cache.get(process.env.SERVER_ID);
+    if (!server) {
+      throw new Error("Bot is not in the specified Discord server");
+    }
+
+    const serverMembers = await server.members.fetch();
+    const nonBotMembers = Array.from(serverMembers.values()).filter(
+      (member) => !member.user.bot
+    );
+    const documents = await members.listAll();
+    const docsById = new Map(documents.map((doc) => [doc.discord_id, doc]));
+
+    const plan = {
+      departedOnly,
+      members: nonBotMembers,
+      documents,
+      changes: [],
+      unchanged: [],
+      clears: [],
+      roleConflicts: [],
+      missingRoles: [],
+    };
+
+    if (!departedOnly) {
+      await inBatches(nonBotMembers, async (member) => {
+        const conflicts = getRoleConflicts(member);
+        if (conflicts) plan.roleConflicts.push({ member, conflicts });
+
+        const guild = getGuildFromRoles(member);
+        const weapon = getWeaponInfoFromRoles(member).class;
+        if (!guild || !weapon) {
+          plan.missingRoles.push({ member, guild, weapon });
+        }
+
+        const change = await planMember(
+          member,
+          docsById.get(member.id) ?? null
+        );
+        if (change.type === "unchanged") {
+          plan.unchanged.push(change);
+        } else {
+          plan.changes.push(change);
+        }
+      });
+    }
+
+    const memberIds = new Set(nonBotMembers.map((member) => member.id));
+    plan.clears = documents.filter(
+      (doc) => doc.guild !== null && !memberIds.has(doc.discord_id)
+    );
+
+    return plan;
+  }
+
+  // Write every change in the plan. Resolves to
+  // { summary, documents, fixed, errors } where documents maps member IDs to
+  // their saved records, fixed describes each change written and errors
+  // each one that failed.
+  async function applyPlan(plan, source) {
+    const summary = createSyncSummary();
+    const saved = new Map();
+    const fixed = [];
+    const errors = [];
+
+    for (const change of plan.unchanged) {
+      summary.add("unchanged");
+      saved.set(change.member.id, change.doc);
+    }
+
+    await inBatches(plan.changes, async (change) => {
+      metrics.syncMemberRuns.inc();
+      const { document, outcome, error } = await applyMemberChange(
+        members,
+        change,
+        source
+      );
+      summary.add(outcome);
+      if (document) {
+        saved.set(change.member.id, document);
+        fixed.push(describeChange(change));
+      } else {
+        errors.push(
+          `${change.member.user.username} (${change.member.id}): ${error}`
+        );
+      }
+    });
+
+    const server = client.guilds.cache.get(process.env.SERVER_ID);
+    for (const doc of plan.clears) {
+      try {
+        // The departure time is unknown, so any kick since they joined counts
+        const reason = await findDepartureReason(server, doc.discord_id, {
+          since: doc.joined_at,
+        });
+        await withRetry(
+          () =>
+            members.recordDeparture(doc.$id, reason, { previous: doc, source }),
+          `Clear guild fields for ${doc.discord_username} (${doc.discord_id})`
+        );
+        summary.add("cleared");
+        fixed.push(describeClear(doc));
+        log.info(
+          `Cleared guild fields for ${doc.discord_username} (${doc.discord_id}), no longer in the server`
+        );
+      } catch (error) {
+        summary.add("failed");
+        errors.push(
+          `${doc.discord_username} (${doc.discord_id}): ${error.message}`
+        );
+        log.error(
+          `Error clearing data for ${doc.discord_username}: ${error.message}`
+        );
+      }
+    }
+
+    for (const document of saved.values()) {
+      documentCache.set(document.discord_id, document);
+    }
+    return { summary, documents: saved, fixed, errors };
+  }
+
+  // Post the plan to the officer channel with a button that applies it.
+  // Earlier plans of the same kind can no longer be applied.
+  async function postPlanForReview(plan) {
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(
+          plan.departedOnly
+            ? `${APPLY_PLAN_BUTTON}:departed`
+            : APPLY_PLAN_BUTTON
+        )
+        .setLabel("Apply changes")
+        .setStyle(ButtonStyle.Primary)
+    );
+    const message = await notifyOfficers(
+      client,
+      {
+        content: `📋 Reconciliation plan: ${describePlan(
+          plan
+        )}\n\`\`\`\n${formatPlan(plan)}\n\`\`\``,
+        components: [row],
+        allowedMentions: { parse: [] },
+      },
+      process.env.RECONCILE_CHANNEL_ID || process.env.OFFICER_CHANNEL_ID
+    );
+    if (message) {
+      for (const [messageId, posted] of reviewedPlans) {
+        if (posted.departedOnly === plan.departedOnly) {
+          reviewedPlans.delete(messageId);
+        }
+      }
+      reviewedPlans.set(message.id, plan);
+    }
+    return message;
+  }
+
+  // Take the plan posted in this message, so it is applied at most once
+  function takeReviewedPlan(messageId) {
+    const plan = reviewedPlans.get(messageId) ?? null;
+    reviewedPlans.delete(messageId);
+    return plan;
+  }
+
+  // Build a plan, or use the given one, and handle it according to `mode`.
+  // Resolves to { plan, mode, applied, ... } plus the applyPlan result when
+  // the plan was applied.
+  async function reconcile({
+    source,
+    mode = getReconcileMode(),
+    departedOnly = false,
+    plan: givenPlan = null,
+  }) {
+    const plan = givenPlan ?? (await buildPlan({ departedOnly }));
+    log.info(`Reconciliation plan (${mode}): ${describePlan(plan)}`);
+
+    if (mode === "apply") {
+      const result = await applyPlan(plan, source);
+      log.info(`Reconciliation applied: ${result.summary}`);
+      return { plan, mode, applied: true, ...result };
+    }
+
+    if (isPlanEmpty(plan)) {
+      log.info("Nothing to reconcile");
+    } else if (mode === "review") {
+      await postPlanForReview(plan);
+    } else {
+      log.info(`Reconciliation dry run, no changes made:\n${formatPlan(plan)}`);
+    }
+    return { plan, mode, applied: false };
+  }
+
+  return {
+    buildPlan,
+    applyPlan,
+    reconcile,
+    postPlanForReview,
+    takeReviewedPlan,
+  };
+}
+
+export function isApplyPlanButton(customId) {
+  return (
+    customId === APPLY_PLAN_BUTTON ||
+    customId.startsWith(`${APPLY_PLAN_BUTTON}:`)
+  );
+}
+
+// An officer approved a posted plan. The plan they saw is applied only if
+// it still matches the members; otherwise the current plan is posted for
+// review in its place.
+export async function handleApplyPlanButton(interaction, { reconciler, run }) {
+  if (!isOfficer(interaction.member)) {
+    await interaction.reply({
+      content: "Only officers can apply reconciliation plans.",
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  await interaction.deferUpdate();
+  const reviewed = reconciler.takeReviewedPlan(interaction.message.id);
+  let outcome;
+
+  if (!reviewed) {
+    outcome =
+      "⚠️ This plan is out of date or was already applied. Wait for the next plan to be posted.";
+  } else {
+    const current = await reconciler.buildPlan({
+      departedOnly: reviewed.departedOnly,
+    });
+    if (isSamePlan(reviewed, current)) {
+      const { summary } = await run({
+        mode: "apply",
+        departedOnly: reviewed.departedOnly,
+        plan: reviewed,
+      });
+      log.info(`Reconciliation plan applied by ${interaction.user.username}`);
+      outcome = `✅ Applied by ${interaction.user}: ${summary}`;
+    } else if (isPlanEmpty(current)) {
+      outcome =
+        "ℹ️ Members changed since this plan was posted and nothing is left to apply.";
+    } else {
+      await reconciler.postPlanForReview(current);
+      log.info(
+        "Members changed since the reconciliation plan was posted, posted an updated plan"
+      );
+      outcome =
+        "⚠️ Members changed since this plan was posted. An updated plan was posted for review.";
+    }
+  }
+
+  await interaction.editReply({
+    content: `${interaction.message.content.slice(
+      0,
+      2000 - outcome.length - 1
+    )}\n${outcome}`,
+    components: [],
+    allowedMentions: { parse: [] },
+  });
+}
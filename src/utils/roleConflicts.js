@@ -0,0 +1,96 @@
+import { log } from "./logger.js";
+import { notifyOfficers } from "./officerNotifications.js";
+import {
+  GUILD_ROLES,
+  getGuildRoles,
+  getGuildFromRoles,
+} from "../constants/guilds.js";
+import {
+  WEAPON_ROLES,
+  getWeaponRoles,
+  getWeaponInfoFromRoles,
+} from "../constants/weapons.js";
+
+function formatCombo({ primaryWeapon, secondaryWeapon }) {
+  return `${primaryWeapon}/${secondaryWeapon}`;
+}
+
+// Guild and weapon combo roles the member holds more than one of, or null.
+// `guild` and `weapon` are the values picked for the record.
+export function getRoleConflicts(member) {
+  const guildRoles = getGuildRoles(member);
+  const weaponRoles = getWeaponRoles(member);
+  if (guildRoles.length <= 1 && weaponRoles.length <= 1) return null;
+
+  const weaponInfo = getWeaponInfoFromRoles(member);
+  return {
+    guilds:
+      guildRoles.length > 1
+        ? guildRoles.map((role) => GUILD_ROLES[role.id])
+        : [],
+    weapons:
+      weaponRoles.length > 1
+        ? weaponRoles.map((role) => formatCombo(WEAPON_ROLES[role.id]))
+        : [],
+    guild: getGuildFromRoles(member),
+    weapon: weaponInfo.class ? formatCombo(weaponInfo) : null,
+  };
+}
+
+// True when two conflict results describe the same set of roles
+export function isSameConflict(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function describeConflict(member, conflicts) {
+  const parts = [];
+  if (conflicts.guilds.length > 0) {
+    parts.push(
+      `guilds ${conflicts.guilds.join(", ")} (using ${conflicts.guild})`
+    );
+  }
+  if (conflicts.weapons.length > 0) {
+    parts.push(
+      `weapons ${conflicts.weapons.join(", ")} (using ${conflicts.weapon})`
+    );
+  }
+  return `${member.user.username} (${member.id}) holds ${parts.join("; ")}`;
+}
+
+// Officer message for a list of { member, conflicts }
+export function formatRoleConflictReport(entries) {
+  const header = `⚠️ ${entries.length} member${
+    entries.length === 1 ? " holds" : "s hold"
+  } conflicting roles:`;
+  const lines = [];
+  let length = header.length;
+  for (const { member, conflicts } of entries) {
+    const line = `- <@${member.id}>: ${describeConflict(member, conflicts)}`;
+    // Stay within Discord's 2000 character message limit
+    if (length + line.length + 40 > 2000) {
+      lines.push(`…and ${entries.length - lines.length} more`);
+      break;
+    }
+    lines.push(line);
+    length += line.length + 1;
+  }
+
+  return {
+    content: [header, ...lines].join("\n"),
+    allowedMentions: { parse: [] },
+  };
+}
+
+// Post conflicts to ROLE_CONFLICT_CHANNEL_ID, or the officer channel
+export async function reportRoleConflicts(client, entries) {
+  if (entries.length === 0) return null;
+
+  for (const { member, conflicts } of entries) {
+    log.warn(`Role conflict: ${describeConflict(member, conflicts)}`);
+  }
+  return notifyOfficers(
+    client,
+    formatRoleConflictReport(entries),
+    process.env.ROLE_CONFLICT_CHANNEL_ID || process.env.OFFICER_CHANNEL_ID
+  );
+}
@@ -0,0 +1,144 @@
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  MessageFlags,
+} from "discord.js";
+import { log } from "./logger.js";
+import { notifyOfficers, isOfficer } from "./officerNotifications.js";
+import { GUILD_ROLES } from "../constants/guilds.js";
+import { WEAPON_ROLES } from "../constants/weapons.js";
+
+const RESTORE_PREFIX = "restoreRoles";
+
+export function isRestoreButton(customId) {
+  return customId.startsWith(`${RESTORE_PREFIX}:`);
+}
+
+// Roles matching the guild and weapons the member had when they left, from
+// the last_* fields. Entries whose role is no longer configured are null.
+export function getRestorableRoles(doc) {
+  if (!doc?.last_guild && !doc?.last_primary_weapon) return null;
+
+  const guildRoleId =
+    Object.keys(GUILD_ROLES).find(
+      (roleId) => GUILD_ROLES[roleId] === doc.last_guild
+    ) ?? null;
+  const weaponRoleId =
+    Object.keys(WEAPON_ROLES).find(
+      (roleId) =>
+        WEAPON_ROLES[roleId].primaryWeapon === doc.last_primary_weapon &&
+        WEAPON_ROLES[roleId].secondaryWeapon === doc.last_secondary_weapon
+    ) ?? null;
+
+  if (!guildRoleId && !weaponRoleId) return null;
+  return {
+    guildRoleId,
+    weaponRoleId,
+    guild: guildRoleId ? doc.last_guild : null,
+    weapon: weaponRoleId
+      ? `${doc.last_primary_weapon}/${doc.last_secondary_weapon}`
+      : null,
+  };
+}
+
+function describeRoles(roles) {
+  return [roles.guild, roles.weapon].filter(Boolean).join(", ");
+}
+
+// Give the member back their previous guild and weapon roles, then sync
+// their record from the new roles. Resolves to a description of the roles.
+export async function restoreRoles(member, doc, { members, syncMember }) {
+  const roles = getRestorableRoles(doc);
+  if (!roles) return null;
+
+  const updated = await member.roles.add(
+    [roles.guildRoleId, roles.weaponRoleId].filter(Boolean),
+    "Restore roles held before leaving"
+  );
+  await syncMember(updated ?? member, "role_restore");
+  if (doc.restore_on_rejoin) {
+    await members.patch(doc.$id, { restore_on_rejoin: false });
+  }
+
+  const restored = describeRoles(roles);
+  log.info(`Restored ${restored} for ${member.user.username}`);
+  return restored;
+}
+
+// Offer officers a button that restores what the member had when they
+// left. `reason` finishes "<member> ..." e.g. "rejoined the server".
+export async function offerRoleRestore(client, user, doc, reason) {
+  const roles = getRestorableRoles(doc);
+  if (!roles) return null;
+
+  const embed = new EmbedBuilder()
+    .setTitle("Restore previous roles?")
+    .setDescription(`<@${user.id}> (${user.username}) ${reason}.`)
+    .addFields(
+      { name: "Guild", value: roles.guild || "*none*", inline: true },
+      { name: "Weapons", value: roles.weapon || "*none*", inline: true }
+    )
+    .setTimestamp();
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${RESTORE_PREFIX}:${user.id}`)
+      .setLabel("Restore roles")
+      .setStyle(ButtonStyle.Primary)
+  );
+
+  return notifyOfficers(
+    client,
+    { embeds: [embed], components: [row], allowedMentions: { parse: [] } },
+    process.env.ROLE_RESTORE_CHANNEL_ID || process.env.OFFICER_CHANNEL_ID
+  );
+}
+
+// An officer pressed "Restore roles". Members still outside the server
+// (e.g. just unbanned) get their roles back when they rejoin.
+export async function handleRestoreButton(
+  interaction,
+  { members, syncMember }
+) {
+  if (!isOfficer(interaction.member)) {
+    await interaction.reply({
+      content: "Only officers can restore roles.",
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  await interaction.deferUpdate();
+  const userId = interaction.customId.split(":")[1];
+  const doc = await members.getByDiscordId(userId);
+  if (!getRestorableRoles(doc)) {
+    await interaction.followUp({
+      content: "There are no previous roles left to restore.",
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const member = await interaction.guild.members
+    .fetch(userId)
+    .catch(() => null);
+  let outcome;
+  if (member) {
+    const restored = await restoreRoles(member, doc, { members, syncMember });
+    outcome = `✅ ${interaction.user} restored ${restored}`;
+  } else {
+    await members.patch(doc.$id, { restore_on_rejoin: true });
+    outcome = `⏳ ${interaction.user} approved, roles will be restored when they rejoin`;
+  }
+
+  log.info(
+    `Role restore for ${userId} approved by ${interaction.user.username}`
+  );
+  const embed = EmbedBuilder.from(interaction.message.embeds[0]).addFields({
+    name: "Outcome",
+    value: outcome,
+  });
+  await interaction.editReply({ embeds: [embed], components: [] });
+}
@@ -0,0 +1,56 @@
+// When a member holds several roles of one kind (two guilds, two weapon
+// combos) ROLE_CONFLICT_WINNER decides which one ends up in their record:
+//   first   - whichever role Discord lists first (default)
+//   highest - the role placed highest in the server's role list
+//   latest  - the most recently added role, falling back to highest
+const roleAddedAt = new Map(); // member ID -> Map(role ID -> timestamp)
+
+// Remember when roles were added so the "latest" rule can pick between them.
+// Only roles added while the bot is running are known.
+export function recordAddedRoles(oldMember, newMember) {
+  const known = roleAddedAt.get(newMember.id) || new Map();
+  for (const role of newMember.roles.cache.values()) {
+    if (!oldMember.roles.cache.has(role.id)) {
+      known.set(role.id, Date.now());
+    }
+  }
+  for (const roleId of known.keys()) {
+    if (!newMember.roles.cache.has(roleId)) known.delete(roleId);
+  }
+
+  if (known.size > 0) {
+    roleAddedAt.set(newMember.id, known);
+  } else {
+    roleAddedAt.delete(newMember.id);
+  }
+}
+
+export function forgetAddedRoles(memberId) {
+  roleAddedAt.delete(memberId);
+}
+
+function highestRole(roles) {
+  return roles.reduce((best, role) =>
+    (role.position ?? 0) > (best.position ?? 0) ? role : best
+  );
+}
+
+// Pick the role to use out of the matching roles a member holds
+export function pickWinningRole(member, roles) {
+  if (roles.length <= 1) return roles[0] || null;
+
+  switch (process.env.ROLE_CONFLICT_WINNER) {
+    case "highest":
+      return highestRole(roles);
+    case "latest": {
+      const addedAt = roleAddedAt.get(member.id);
+      const tracked = roles.filter((role) => addedAt?.has(role.id));
+      if (tracked.length === 0) return highestRole(roles);
+      return tracked.reduce((latest, role) =>
+        addedAt.get(role.id) > addedAt.get(latest.id) ? role : latest
+      );
+    }
+    default:
+      return roles[0];
+  }
+}
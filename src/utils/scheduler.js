@@ -0,0 +1,256 @@
+import { log } from "./logger.js";
+import { readJsonState, writeJsonState } from "./jsonState.js";
+
+const TICK_INTERVAL = 30000; // Check for due jobs every 30 seconds
+const SEARCH_LIMIT = 5 * 366 * 24 * 60 * 60 * 1000; // Covers Feb 29 schedules
+
+const ALIASES = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+};
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+
+function parseField(value, { name, min, max }) {
+  const allowed = new Set();
+  for (const part of value.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    let [start, end] =
+      range === "*" ? [min, max] : range.split("-").map(Number);
+    if (end === undefined) end = stepText === undefined ? start : max;
+
+    if (
+      ![start, end, step].every(Number.isInteger) ||
+      start < min ||
+      end > max ||
+      start > end ||
+      step < 1
+    ) {
+      throw new Error(`Invalid ${name} "${value}"`);
+    }
+    for (let number = start; number <= end; number += step) {
+      allowed.add(number);
+    }
+  }
+  return allowed;
+}
+
+// Parse a 5-field cron expression (minute hour day-of-month month
+// day-of-week), evaluated in UTC. Supports *, lists, ranges and steps.
+export function parseCron(expression) {
+  const fields = (ALIASES[expression.trim()] || expression).trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(
+      `Invalid cron expression "${expression}": expected 5 fields`
+    );
+  }
+
+  try {
+    const [minutes, hours, days, months, weekdays] = fields.map((field, i) =>
+      parseField(field, FIELDS[i])
+    );
+    if (weekdays.delete(7)) weekdays.add(0); // 7 is another name for Sunday
+    return {
+      expression,
+      minutes,
+      hours,
+      days,
+      months,
+      weekdays,
+      // Like cron, a restricted day of month and day of week match either
+      anyDay: fields[2] !== "*" && fields[4] !== "*",
+    };
+  } catch (error) {
+    throw new Error(
+      `Invalid cron expression "${expression}": ${error.message}`
+    );
+  }
+}
+
+function matchesDay(schedule, date) {
+  const day = schedule.days.has(date.getUTCDate());
+  const weekday = schedule.weekdays.has(date.getUTCDay());
+  return schedule.anyDay ? day || weekday : day && weekday;
+}
+
+// First time strictly after `after` that matches the schedule, or null
+export function nextRun(schedule, after) {
+  const date = new Date(after.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+  const limit = after.getTime() + SEARCH_LIMIT;
+
+  while (date.getTime() <= limit) {
+    if (!schedule.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!matchesDay(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!schedule.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!schedule.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+// Runs named jobs on cron schedules. Last-run times are saved to a JSON
+// file so a run missed while the bot was down is caught up on start, and
+// a job is never started again while its previous run is still going.
+export class Scheduler {
+  constructor({ statePath = null, tickInterval = TICK_INTERVAL } = {}) {
+    this.statePath = statePath;
+    this.tickInterval = tickInterval;
+    this.jobs = new Map();
+    this.state = {};
+    this.timer = null;
+  }
+
+  addJob(name, expression, run) {
+    this.jobs.set(name, {
+      name,
+      schedule: parseCron(expression),
+      run,
+      running: null,
+      nextRunAt: null,
+    });
+  }
+
+  async loadState() {
+    if (!this.statePath) return;
+    try {
+      this.state = (await readJsonState(this.statePath)) ?? {};
+    } catch (error) {
+      log.error(`Could not read scheduler state: ${error.message}`);
+      this.state = {};
+    }
+  }
+
+  async saveState() {
+    if (!this.statePath) return;
+    try {
+      await writeJsonState(this.statePath, this.state);
+    } catch (error) {
+      log.error(`Could not save scheduler state: ${error.message}`);
+    }
+  }
+
+  getLastRun(name) {
+    const lastRunAt = this.state[name]?.lastRunAt;
+    return lastRunAt ? new Date(lastRunAt) : null;
+  }
+
+  // Schedule every job, then run any job that missed a run, one at a time in
+  // the order they were added. Jobs named in `alreadyRun` are recorded as
+  // run now instead of being caught up, e.g. when a startup sync just did
+  // their work.
+  async start(now = new Date(), { alreadyRun = [] } = {}) {
+    await this.loadState();
+
+    const missed = [];
+    for (const job of this.jobs.values()) {
+      const lastRun = this.getLastRun(job.name);
+      const due = lastRun && nextRun(job.schedule, lastRun);
+      if (alreadyRun.includes(job.name)) {
+        this.state[job.name] = {
+          ...this.state[job.name],
+          lastRunAt: now.toISOString(),
+          lastSuccessAt: now.toISOString(),
+          lastError: null,
+        };
+      } else if (due && due <= now) {
+        log.info(
+          `Job ${job.name} missed its run at ${due.toISOString()}, catching up`
+        );
+        missed.push(job);
+      }
+      job.nextRunAt = nextRun(job.schedule, now);
+      log.info(
+        `Scheduled ${job.name} (${job.schedule.expression}), next run ${
+          job.nextRunAt?.toISOString() ?? "never"
+        }`
+      );
+    }
+    if (alreadyRun.length > 0) await this.saveState();
+
+    this.timer = setInterval(() => this.tick(), this.tickInterval);
+    for (const job of missed) {
+      await this.runJob(job);
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Start every job whose next run time has passed
+  tick(now = new Date()) {
+    const started = [];
+    for (const job of this.jobs.values()) {
+      if (!job.nextRunAt || job.nextRunAt > now) continue;
+      job.nextRunAt = nextRun(job.schedule, now);
+      started.push(this.runJob(job));
+    }
+    return Promise.all(started);
+  }
+
+  // Run a job unless its previous run is still going
+  async runJob(job) {
+    if (job.running) {
+      log.warn(`Skipping ${job.name}, the previous run is still going`);
+      return false;
+    }
+
+    const startedAt = new Date();
+    job.running = (async () => {
+      log.info(`Running scheduled job ${job.name}`);
+      try {
+        await job.run();
+        this.state[job.name] = {
+          ...this.state[job.name],
+          lastRunAt: startedAt.toISOString(),
+          lastSuccessAt: new Date().toISOString(),
+          lastError: null,
+        };
+        log.info(
+          `Scheduled job ${job.name} finished in ${Date.now() - startedAt}ms`
+        );
+      } catch (error) {
+        this.state[job.name] = {
+          ...this.state[job.name],
+          lastRunAt: startedAt.toISOString(),
+          lastError: error.message,
+        };
+        log.error(`Scheduled job ${job.name} failed: ${error.message}`);
+      }
+      await this.saveState();
+    })();
+
+    try {
+      await job.running;
+    } finally {
+      job.running = null;
+    }
+    return true;
+  }
+}
+
+export function createScheduler() {
+  return new Scheduler({
+    statePath: process.env.SCHEDULER_STATE_PATH || "data/scheduler.json",
+  });
+}
@@ -0,0 +1,307 @@
+import fs from "fs";
+import path from "path";
+import sqlite3 from "sqlite3";
+import { open } from "sqlite";
+import { Client as Appwrite, Databases, ID, Query } from "node-appwrite";
+import { log } from "./logger.js";
+
+// Field names are interpolated into SQL, so only allow plain identifiers
+const FIELD_NAME_REGEX = /^[a-z_][a-z0-9_]*$/i;
+
+function toAppwriteQueries(filters) {
+  return Object.entries(filters).map(([field, value]) =>
+    value === null ? Query.isNull(field) : Query.equal(field, value)
+  );
+}
+
+// Document collection backed by an Appwrite collection
+class AppwriteCollection {
+  constructor(databases, databaseId, collectionId) {
+    this.databases = databases;
+    this.databaseId = databaseId;
+    this.collectionId = collectionId;
+  }
+
+  async get(documentId) {
+    try {
+      return await this.databases.getDocument(
+        this.databaseId,
+        this.collectionId,
+        documentId
+      );
+    } catch (error) {
+      if (error.code === 404) return null;
+      throw error;
+    }
+  }
+
+  async list({ filters = {}, limit = 100, offset = 0, order = "asc" } = {}) {
+    const result = await this.databases.listDocuments(
+      this.databaseId,
+      this.collectionId,
+      [
+        ...toAppwriteQueries(filters),
+        order === "desc"
+          ? Query.orderDesc("$createdAt")
+          : Query.orderAsc("$createdAt"),
+        Query.limit(limit),
+        Query.offset(offset),
+      ]
+    );
+    return { documents: result.documents, total: result.total };
+  }
+
+  create(data) {
+    return this.databases.createDocument(
+      this.databaseId,
+      this.collectionId,
+      ID.unique(),
+      data
+    );
+  }
+
+  update(documentId, fields) {
+    return this.databases.updateDocument(
+      this.databaseId,
+      this.collectionId,
+      documentId,
+      fields
+    );
+  }
+
+  delete(documentId) {
+    return this.databases.deleteDocument(
+      this.databaseId,
+      this.collectionId,
+      documentId
+    );
+  }
+}
+
+export class AppwriteStorage {
+  constructor(databases, databaseId) {
+    this.backend = "appwrite";
+    this.databases = databases;
+    this.databaseId = databaseId;
+  }
+
+  // Unique fields are enforced by indexes set up in the Appwrite console
+  collection(name, collectionId) {
+    if (!collectionId) {
+      throw new Error(`No Appwrite collection ID configured for ${name}`);
+    }
+    return new AppwriteCollection(
+      this.databases,
+      this.databaseId,
+      collectionId
+    );
+  }
+
+  async ping() {
+    await this.databases.listCollections(this.databaseId);
+  }
+
+  async close() {}
+}
+
+// SQLite reports unique index violations as SQLITE_CONSTRAINT; rethrow them
+// with the 409 Appwrite uses so callers handle both backends the same way
+function toConflictError(error) {
+  if (error.code === "SQLITE_CONSTRAINT") {
+    const conflict = new Error(error.message);
+    conflict.code = 409;
+    return conflict;
+  }
+  return error;
+}
+
+// Document collection stored as JSON rows in a local SQLite table.
+// `uniqueFields` get a unique index; documents without the field are exempt.
+class SqliteCollection {
+  constructor(db, table, { uniqueFields = [] } = {}) {
+    this.db = db;
+    this.table = table;
+    this.ready = this.db.exec(
+      `CREATE TABLE IF NOT EXISTS ${table} (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      ${uniqueFields
+        .map(
+          (field) =>
+            `CREATE UNIQUE INDEX IF NOT EXISTS ${table}_${field}
+             ON ${table} (json_extract(data, '$.${field}'));`
+        )
+        .join("\n")}`
+    );
+  }
+
+  toDocument(row) {
+    if (!row) return null;
+    return {
+      $id: row.id,
+      $createdAt: row.created_at,
+      $updatedAt: row.updated_at,
+      ...JSON.parse(row.data),
+    };
+  }
+
+  async get(documentId) {
+    await this.ready;
+    const row = await this.db.get(
+      `SELECT * FROM ${this.table} WHERE id = ?`,
+      documentId
+    );
+    return this.toDocument(row);
+  }
+
+  async list({ filters = {}, limit = 100, offset = 0, order = "asc" } = {}) {
+    await this.ready;
+    const conditions = [];
+    const params = [];
+    for (const [field, value] of Object.entries(filters)) {
+      if (!FIELD_NAME_REGEX.test(field)) {
+        throw new Error(`Invalid filter field: ${field}`);
+      }
+      if (value === null) {
+        conditions.push(`json_extract(data, '$.${field}') IS NULL`);
+      } else {
+        conditions.push(`json_extract(data, '$.${field}') = ?`);
+        params.push(typeof value === "boolean" ? Number(value) : value);
+      }
+    }
+    const where =
+      conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    const { total } = await this.db.get(
+      `SELECT COUNT(*) AS total FROM ${this.table} ${where}`,
+      params
+    );
+    const rows = await this.db.all(
+      `SELECT * FROM ${this.table} ${where}
+       ORDER BY created_at ${order === "desc" ? "DESC" : "ASC"}, rowid
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    return { documents: rows.map((row) => this.toDocument(row)), total };
+  }
+
+  async create(data) {
+    await this.ready;
+    const id = ID.unique();
+    const now = new Date().toISOString();
+    await this.db
+      .run(
+        `INSERT INTO ${this.table} (id, data, created_at, updated_at) VALUES (?, ?, ?, ?)`,
+        id,
+        JSON.stringify(data),
+        now,
+        now
+      )
+      .catch((error) => {
+        throw toConflictError(error);
+      });
+    return this.get(id);
+  }
+
+  async update(documentId, fields) {
+    await this.ready;
+    const entries = Object.entries(fields);
+    for (const [field] of entries) {
+      if (!FIELD_NAME_REGEX.test(field)) {
+        throw new Error(`Invalid update field: ${field}`);
+      }
+    }
+    // Set only the patched fields inside the statement, so concurrent
+    // patches to the same document keep each other's changes
+    const { changes } = await this.db
+      .run(
+        `UPDATE ${this.table}
+         SET data = json_set(data${entries
+           .map(([field]) => `, '$.${field}', json(?)`)
+           .join("")}), updated_at = ?
+         WHERE id = ?`,
+        ...entries.map(([, value]) => JSON.stringify(value ?? null)),
+        new Date().toISOString(),
+        documentId
+      )
+      .catch((error) => {
+        throw toConflictError(error);
+      });
+    if (changes === 0) {
+      const error = new Error(`Document ${documentId} not found`);
+      error.code = 404;
+      throw error;
+    }
+    return this.get(documentId);
+  }
+
+  async delete(documentId) {
+    await this.ready;
+    await this.db.run(`DELETE FROM ${this.table} WHERE id = ?`, documentId);
+  }
+}
+
+class SqliteStorage {
+  constructor(db, filename) {
+    this.backend = "sqlite";
+    this.db = db;
+    this.filename = filename;
+    this.collections = new Map();
+  }
+
+  collection(name, collectionId, options) {
+    if (!FIELD_NAME_REGEX.test(name)) {
+      throw new Error(`Invalid collection name: ${name}`);
+    }
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new SqliteCollection(this.db, name, options));
+    }
+    return this.collections.get(name);
+  }
+
+  async ping() {
+    await this.db.get("SELECT 1");
+  }
+
+  async close() {
+    await this.db.close();
+  }
+}
+
+export async function openSqliteStorage(filename) {
+  if (filename !== ":memory:") {
+    await fs.promises.mkdir(path.dirname(filename), { recursive: true });
+  }
+  const db = await open({ filename, driver: sqlite3.Database });
+  return new SqliteStorage(db, filename);
+}
+
+export function createAppwriteStorage() {
+  const appwrite = new Appwrite()
+    .setEndpoint(process.env.APPWRITE_ENDPOINT)
+    .setProject(process.env.APPWRITE_PROJECT_ID)
+    .setKey(process.env.APPWRITE_API_KEY);
+
+  return new AppwriteStorage(
+    new Databases(appwrite),
+    process.env.APPWRITE_DATABASE_ID
+  );
+}
+
+// Pick the storage backend from STORAGE_BACKEND (appwrite or sqlite)
+export async function createStorage(backend = process.env.STORAGE_BACKEND) {
+  if (backend === "sqlite") {
+    const filename = process.env.SQLITE_PATH || "data/guild-db.sqlite";
+    log.info(`Using SQLite storage at ${filename}`);
+    return openSqliteStorage(filename);
+  }
+
+  if (backend && backend !== "appwrite") {
+    throw new Error(`Unknown storage backend: ${backend}`);
+  }
+  log.info("Using Appwrite storage");
+  return createAppwriteStorage();
+}
@@ -0,0 +1,128 @@
+import { EmbedBuilder } from "discord.js";
+import { log } from "./logger.js";
+import { notifyOfficers } from "./officerNotifications.js";
+import { findInvalidIngameNames } from "./ingameName.js";
+import { describeChange, describeClear } from "./reconciliation.js";
+
+const MAX_PAGE_LENGTH = 4000; // Embed descriptions hold up to 4096 characters
+
+// Split report sections ({ title, lines }) into pages of at most
+// `maxLength` characters. Sections without lines are left out.
+export function paginateSections(sections, maxLength = MAX_PAGE_LENGTH) {
+  const pages = [];
+  let page = "";
+  const add = (text) => {
+    text = text.slice(0, maxLength);
+    if (page && page.length + text.length + 1 > maxLength) {
+      pages.push(page);
+      page = "";
+    }
+    page = page ? `${page}\n${text}` : text;
+  };
+
+  for (const { title, lines } of sections) {
+    if (lines.length === 0) continue;
+    add(`**${title} (${lines.length})**`);
+    lines.forEach(add);
+  }
+  if (page) pages.push(page);
+  return pages;
+}
+
+// One embed per page. The first carries the counts; later pages only
+// continue the sections.
+export function buildSyncReportEmbeds({ title, counts, sections }) {
+  const pages = paginateSections(sections);
+  if (pages.length === 0) pages.push("No problems found.");
+
+  return pages.map((description, i) => {
+    const embed = new EmbedBuilder()
+      .setTitle(title)
+      .setDescription(description)
+      .setTimestamp();
+    if (i === 0) embed.addFields({ name: "Counts", value: counts });
+    if (pages.length > 1) {
+      embed.setFooter({ text: `Page ${i + 1} of ${pages.length}` });
+    }
+    return embed;
+  });
+}
+
+// Report contents for a reconciliation result. Plans that were not applied
+// list their changes as pending.
+export function createReconciliationReport(source, result) {
+  const { plan } = result;
+  const sections = result.applied
+    ? [{ title: "Fixed", lines: result.fixed }]
+    : [
+        {
+          title: `Pending changes (${result.mode})`,
+          lines: [
+            ...plan.changes.map(describeChange),
+            ...plan.clears.map(describeClear),
+          ],
+        },
+      ];
+
+  sections.push(
+    {
+      title: "Invalid in-game names",
+      lines: (plan.departedOnly
+        ? []
+        : findInvalidIngameNames(plan.documents)
+      ).map(
+        ({ doc, error }) =>
+          `${doc.discord_username} (${doc.discord_id}): "${doc.ingame_name}" - ${error}`
+      ),
+    },
+    {
+      title: "Missing guild or weapon role",
+      lines: plan.missingRoles.map(
+        ({ member, guild, weapon }) =>
+          `${member.user.username} (${member.id}): ${[
+            !guild && "no guild role",
+            !weapon && "no weapon role",
+          ]
+            .filter(Boolean)
+            .join(", ")}`
+      ),
+    },
+    { title: "Errors", lines: result.applied ? result.errors : [] }
+  );
+
+  return {
+    title: `Sync report: ${source}`,
+    counts: result.applied
+      ? `${result.summary}`
+      : `${plan.changes.length} changes and ${plan.clears.length} departed members not applied`,
+    sections,
+  };
+}
+
+// Report for a run that failed before it could finish
+export function createFailureReport(source, error) {
+  return {
+    title: `Sync report: ${source}`,
+    counts: "The sync failed and made no further changes",
+    sections: [{ title: "Errors", lines: [error.message] }],
+  };
+}
+
+// Post a report to SYNC_REPORT_CHANNEL_ID, or the officer channel, one
+// message per page
+export async function postSyncReport(client, report) {
+  const channelId =
+    process.env.SYNC_REPORT_CHANNEL_ID || process.env.OFFICER_CHANNEL_ID;
+  const embeds = buildSyncReportEmbeds(report);
+  for (const embed of embeds) {
+    const message = await notifyOfficers(
+      client,
+      { embeds: [embed], allowedMentions: { parse: [] } },
+      channelId
+    );
+    if (!message) {
+      log.warn(`Could not post ${report.title}, skipping remaining pages`);
+      return;
+    }
+  }
+}
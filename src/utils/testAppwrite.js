@@ -2,6 +2,8 @@ import { Client as Appwrite, Databases, ID, Query } from "node-appwrite";
 import dotenv from "dotenv";
 import { log } from "./logger.js";
 import { createBatchManager, documentCache } from "./appwriteHelpers.js";
+import { createAppwriteStorage } from "./storage.js";
+import { MemberRepository } from "./memberRepository.js";
 
 dotenv.config();
 
@@ -190,20 +192,14 @@ async function cleanupTestEnvironment() {
   }
 }
 
-// Override the collection ID for the batch manager
-const batchManager = createBatchManager(databases);
-const originalQueueUpdate = batchManager.queueUpdate;
-batchManager.queueUpdate = function (userId, fields) {
-  // Store the original collection ID
-  const originalCollectionId = process.env.APPWRITE_COLLECTION_ID;
-  // Temporarily override the collection ID
-  process.env.APPWRITE_COLLECTION_ID = TEST_COLLECTION_ID;
-  // Call the original method
-  const result = originalQueueUpdate.call(this, userId, fields);
-  // Restore the original collection ID
-  process.env.APPWRITE_COLLECTION_ID = originalCollectionId;
-  return result;
-};
+// Point the batch manager at the test collection
+const storage = createAppwriteStorage();
+const batchManager = createBatchManager(
+  new MemberRepository(
+    storage.collection("members", TEST_COLLECTION_ID),
+    storage
+  )
+);
 
 async function createTestDocument(userId) {
   try {
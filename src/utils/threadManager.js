@@ -1,15 +1,23 @@
 import { log } from "./logger.js";
+import { registry } from "./metrics.js";
+import { onConfigChange, replaceObjectContents } from "./config.js";
 
-// Review channels configuration
-export const REVIEW_CHANNELS = {
-  tank: { channelId: process.env.TANK_REVIEW_CHANNEL_ID },
-  healer: { channelId: process.env.HEALER_REVIEW_CHANNEL_ID },
-  ranged: { channelId: process.env.RANGED_REVIEW_CHANNEL_ID },
-  melee: { channelId: process.env.MELEE_REVIEW_CHANNEL_ID },
-  bomber: { channelId: process.env.BOMBER_REVIEW_CHANNEL_ID },
-};
+// Review channels configuration (class -> channel), rebuilt on config load
+export const REVIEW_CHANNELS = {};
 
-class ThreadManager {
+onConfigChange((config) => {
+  replaceObjectContents(
+    REVIEW_CHANNELS,
+    Object.fromEntries(
+      Object.entries(config.reviewChannels).map(([className, channelId]) => [
+        className,
+        { channelId },
+      ])
+    )
+  );
+});
+
+export class ThreadManager {
   constructor() {
     this.activeThreads = new Map(); // userId -> threadId
     this.initialized = false;
@@ -253,3 +261,9 @@ class ThreadManager {
 }
 
 export const threadManager = new ThreadManager();
+
+registry.gauge(
+  "thread_cache_size",
+  "Number of active review threads in the thread cache",
+  () => threadManager.activeThreads.size
+);
@@ -0,0 +1,94 @@
+import fs from "fs";
+import path from "path";
+import sqlite3 from "sqlite3";
+import { open } from "sqlite";
+import { log } from "./logger.js";
+
+// On-disk log of queued member updates. Entries are appended when an update
+// is queued and removed only once it has been written to the database, so
+// updates survive restarts and crashes during an outage.
+export class UpdateJournal {
+  constructor(db) {
+    this.db = db;
+    // Run statements in the order they were issued so entry IDs follow
+    // the order updates were queued in
+    this.db.getDatabaseInstance().serialize();
+    this.ready = this.db.exec(
+      `CREATE TABLE IF NOT EXISTS pending_updates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        fields TEXT NOT NULL,
+        source TEXT,
+        queued_at TEXT NOT NULL
+      )`
+    );
+  }
+
+  // Resolves to the entry ID
+  async append(userId, fields, source = null) {
+    await this.ready;
+    const { lastID } = await this.db.run(
+      "INSERT INTO pending_updates (user_id, fields, source, queued_at) VALUES (?, ?, ?, ?)",
+      userId,
+      JSON.stringify(fields),
+      source,
+      new Date().toISOString()
+    );
+    return lastID;
+  }
+
+  // Drop entries whose update has been written to the database
+  async remove(ids) {
+    if (ids.length === 0) return;
+    await this.ready;
+    await this.db.run(
+      `DELETE FROM pending_updates WHERE id IN (${ids
+        .map(() => "?")
+        .join(", ")})`,
+      ...ids
+    );
+  }
+
+  // Every entry still waiting, oldest first
+  async load() {
+    await this.ready;
+    const rows = await this.db.all("SELECT * FROM pending_updates ORDER BY id");
+    return rows.map((row) => ({
+      id: row.id,
+      userId: row.user_id,
+      fields: JSON.parse(row.fields),
+      source: row.source,
+      queuedAt: row.queued_at,
+    }));
+  }
+
+  async close() {
+    await this.db.close();
+  }
+}
+
+export async function openUpdateJournal(filename) {
+  if (filename !== ":memory:") {
+    await fs.promises.mkdir(path.dirname(filename), { recursive: true });
+  }
+  const db = await open({ filename, driver: sqlite3.Database });
+  return new UpdateJournal(db);
+}
+
+// Open the journal at UPDATE_JOURNAL_PATH. Returns null if it cannot be
+// opened so the bot keeps running with an in-memory queue only.
+export async function createUpdateJournal() {
+  const filename =
+    process.env.UPDATE_JOURNAL_PATH || "data/update-journal.sqlite";
+  try {
+    const journal = await openUpdateJournal(filename);
+    await journal.ready;
+    log.info(`Using update journal at ${filename}`);
+    return journal;
+  } catch (error) {
+    log.error(
+      `Could not open update journal at ${filename}, queued updates will not survive a restart: ${error.message}`
+    );
+    return null;
+  }
+}
@@ -0,0 +1,290 @@
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  MessageFlags,
+  StringSelectMenuBuilder,
+} from "discord.js";
+import { log } from "./logger.js";
+import { getConfig } from "./config.js";
+import {
+  notifyOfficers,
+  notifyMember,
+  isOfficer,
+} from "./officerNotifications.js";
+import {
+  WEAPON_ROLES,
+  getWeaponRoles,
+  getWeaponInfoFromRoles,
+} from "../constants/weapons.js";
+
+const CLASS_SELECT = "weaponPickerClass";
+const COMBO_SELECT = "weaponPickerCombo";
+const APPROVE_PREFIX = "weaponChangeApprove";
+const REJECT_PREFIX = "weaponChangeReject";
+const MAX_OPTIONS = 25; // Discord's select menu limit
+
+// Class changes wait for officer approval when WEAPON_CHANGE_APPROVAL=true
+export function isWeaponApprovalRequired() {
+  return process.env.WEAPON_CHANGE_APPROVAL === "true";
+}
+
+export function isWeaponPickerSelect(customId) {
+  return customId === CLASS_SELECT || customId === COMBO_SELECT;
+}
+
+export function isWeaponApprovalButton(customId) {
+  return (
+    customId.startsWith(`${APPROVE_PREFIX}:`) ||
+    customId.startsWith(`${REJECT_PREFIX}:`)
+  );
+}
+
+function formatCombo(weapon) {
+  return `${weapon.primaryWeapon} / ${weapon.secondaryWeapon}`;
+}
+
+function buildClassSelect() {
+  return new ActionRowBuilder().addComponents(
+    new StringSelectMenuBuilder()
+      .setCustomId(CLASS_SELECT)
+      .setPlaceholder("Choose your class")
+      .addOptions(
+        getConfig()
+          .classes.slice(0, MAX_OPTIONS)
+          .map((className) => ({ label: className, value: className }))
+      )
+  );
+}
+
+// Post the weapon picker panel, or refresh the options of the one already
+// in the channel so they follow the current config
+export async function createWeaponPickerMessage(channel) {
+  const message = {
+    content:
+      "Pick your class, then your primary and secondary weapon. Your weapon role is updated to match.",
+    components: [buildClassSelect()],
+  };
+
+  try {
+    const messages = await channel.messages.fetch({ limit: 50 });
+    const existingMessage = messages.find(
+      (msg) =>
+        msg.author.id === msg.client.user.id &&
+        msg.components[0]?.components[0]?.customId === CLASS_SELECT
+    );
+
+    if (existingMessage) {
+      await existingMessage.edit(message);
+      log.info("Refreshed weapon picker message");
+      return existingMessage;
+    }
+
+    const sent = await channel.send(message);
+    log.info("Created new weapon picker message");
+    return sent;
+  } catch (error) {
+    log.error(`Failed to create weapon picker message: ${error.message}`);
+    return null;
+  }
+}
+
+// Remove the member's other weapon roles and give them `roleId`
+export async function swapWeaponRole(member, roleId) {
+  const oldRoleIds = getWeaponRoles(member)
+    .map((role) => role.id)
+    .filter((id) => id !== roleId);
+  if (oldRoleIds.length > 0) {
+    await member.roles.remove(oldRoleIds, "Weapon picker");
+  }
+  if (!member.roles.cache.has(roleId)) {
+    await member.roles.add(roleId, "Weapon picker");
+  }
+  log.info(
+    `Set weapons for ${member.user.username} to ${formatCombo(
+      WEAPON_ROLES[roleId]
+    )}`
+  );
+}
+
+async function requestWeaponChangeApproval(client, member, roleId) {
+  const current = getWeaponInfoFromRoles(member);
+  const requested = WEAPON_ROLES[roleId];
+  const embed = new EmbedBuilder()
+    .setTitle("Class change request")
+    .setDescription(
+      `<@${member.id}> (${member.user.username}) wants to change class.`
+    )
+    .addFields(
+      {
+        name: "Current",
+        value: `${current.class} (${formatCombo(current)})`,
+        inline: true,
+      },
+      {
+        name: "Requested",
+        value: `${requested.class} (${formatCombo(requested)})`,
+        inline: true,
+      }
+    )
+    .setTimestamp();
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${APPROVE_PREFIX}:${member.id}:${roleId}`)
+      .setLabel("Approve")
+      .setStyle(ButtonStyle.Success),
+    new ButtonBuilder()
+      .setCustomId(`${REJECT_PREFIX}:${member.id}:${roleId}`)
+      .setLabel("Reject")
+      .setStyle(ButtonStyle.Danger)
+  );
+
+  return notifyOfficers(
+    client,
+    { embeds: [embed], components: [row], allowedMentions: { parse: [] } },
+    process.env.WEAPON_APPROVAL_CHANNEL_ID || process.env.OFFICER_CHANNEL_ID
+  );
+}
+
+// The member picked a class on the panel: offer that class's weapon combos
+async function handleClassSelect(interaction) {
+  const className = interaction.values[0];
+  const options = Object.entries(WEAPON_ROLES)
+    .filter(([, weapon]) => weapon.class === className)
+    .slice(0, MAX_OPTIONS)
+    .map(([roleId, weapon]) => ({ label: formatCombo(weapon), value: roleId }));
+
+  if (options.length === 0) {
+    await interaction.reply({
+      content: `There are no weapon combos for ${className} yet.`,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  await interaction.reply({
+    content: `Pick your ${className} primary and secondary weapon:`,
+    components: [
+      new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId(COMBO_SELECT)
+          .setPlaceholder("Primary / secondary weapon")
+          .addOptions(options)
+      ),
+    ],
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+// The member picked a combo: swap their role, or ask officers first when
+// the class changes and approval is required
+async function handleComboSelect(interaction) {
+  const roleId = interaction.values[0];
+  const requested = WEAPON_ROLES[roleId];
+  if (!requested) {
+    await interaction.update({
+      content: "That weapon combo no longer exists. Please pick again.",
+      components: [],
+    });
+    return;
+  }
+
+  const member = interaction.member;
+  const currentClass = getWeaponInfoFromRoles(member).class;
+  if (
+    isWeaponApprovalRequired() &&
+    currentClass &&
+    currentClass !== requested.class &&
+    !isOfficer(member)
+  ) {
+    const message = await requestWeaponChangeApproval(
+      interaction.client,
+      member,
+      roleId
+    );
+    await interaction.update({
+      content: message
+        ? `Changing class to ${requested.class} needs officer approval. You'll get a DM once it's reviewed.`
+        : "Class changes need officer approval, but the request could not be sent. Please contact an officer.",
+      components: [],
+    });
+    return;
+  }
+
+  await swapWeaponRole(member, roleId);
+  await interaction.update({
+    content: `Your weapons are now ${formatCombo(requested)} (${
+      requested.class
+    }).`,
+    components: [],
+  });
+}
+
+export async function handleWeaponPickerSelect(interaction) {
+  if (interaction.customId === CLASS_SELECT) {
+    await handleClassSelect(interaction);
+  } else {
+    await handleComboSelect(interaction);
+  }
+}
+
+// An officer approved or rejected a class change request
+export async function handleWeaponApprovalButton(interaction) {
+  if (!isOfficer(interaction.member)) {
+    await interaction.reply({
+      content: "Only officers can review class changes.",
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  await interaction.deferUpdate();
+  const [prefix, userId, roleId] = interaction.customId.split(":");
+  const approved = prefix === APPROVE_PREFIX;
+  const requested = WEAPON_ROLES[roleId];
+  let outcome;
+
+  if (approved) {
+    const member = await interaction.guild.members
+      .fetch(userId)
+      .catch(() => null);
+    if (!member || !requested) {
+      await interaction.followUp({
+        content: member
+          ? "That weapon combo no longer exists."
+          : "The member is no longer in the server.",
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+    await swapWeaponRole(member, roleId);
+    outcome = `✅ Approved by ${interaction.user}`;
+    await notifyMember(
+      interaction.client,
+      userId,
+      `Your class change to ${requested.class} (${formatCombo(
+        requested
+      )}) was approved.`
+    );
+  } else {
+    outcome = `❌ Rejected by ${interaction.user}`;
+    await notifyMember(
+      interaction.client,
+      userId,
+      "Your class change was rejected. Please contact an officer if you have questions."
+    );
+  }
+
+  log.info(
+    `Class change for ${userId} ${approved ? "approved" : "rejected"} by ${
+      interaction.user.username
+    }`
+  );
+  const embed = EmbedBuilder.from(interaction.message.embeds[0]).addFields({
+    name: "Outcome",
+    value: outcome,
+  });
+  await interaction.editReply({ embeds: [embed], components: [] });
+}
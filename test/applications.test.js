@@ -0,0 +1,184 @@
+import { afterEach, beforeEach, describe, expect, test } from "bun:test";
+import { ChannelType } from "discord.js";
+import {
+  getApplicationThreadName,
+  handleApplicationModal,
+  validateApplication,
+} from "../src/utils/applications.js";
+import { createMemberSync } from "../src/utils/memberSync.js";
+import { threadManager } from "../src/utils/threadManager.js";
+import { createFakeMembers } from "./fakes/appwrite.js";
+import { FakeClient, FakeGuild, FakeInteraction } from "./fakes/discord.js";
+
+describe("guild applications", () => {
+  let fake;
+  let guild;
+  let client;
+  let tankChannel;
+  let applicant;
+  let context;
+
+  beforeEach(() => {
+    fake = createFakeMembers();
+    guild = new FakeGuild();
+    client = new FakeClient([guild]);
+    tankChannel = guild.addChannel({ id: "tank-channel", name: "tank" });
+    applicant = guild.addMember({ id: "1", username: "newbie" });
+    threadManager.activeThreads.clear();
+    threadManager.initialized = true;
+    const { syncMember } = createMemberSync({ members: fake.members });
+    context = { members: fake.members, syncMember };
+  });
+
+  afterEach(() => {
+    delete process.env.INGAME_NAME_APPROVAL;
+    delete process.env.OFFICER_CHANNEL_ID;
+  });
+
+  function apply(fields) {
+    const interaction = new FakeInteraction({
+      client,
+      guild,
+      member: applicant,
+      customId: "applicationModal",
+      fields: {
+        ingameName: "Newbie",
+        guild: "guild one",
+        className: "tank",
+        notes: "Played tank for years",
+        ...fields,
+      },
+    });
+    return handleApplicationModal(interaction, context).then((thread) => ({
+      interaction,
+      thread,
+    }));
+  }
+
+  test("thread names end with the user ID", () => {
+    expect(getApplicationThreadName({ id: "1", username: "newbie" })).toBe(
+      "newbie [1]"
+    );
+    const name = getApplicationThreadName({
+      id: "1",
+      username: "x".repeat(120),
+    });
+    expect(name).toHaveLength(100);
+    expect(threadManager.getUserIdFromThreadName(name)).toBe("1");
+  });
+
+  test("matches the configured guild and class names", () => {
+    expect(
+      validateApplication({
+        ingameName: "Newbie",
+        guild: " GUILD TWO ",
+        className: "healer",
+        notes: "",
+      })
+    ).toEqual({
+      valid: true,
+      application: {
+        ingameName: "Newbie",
+        guild: "Guild Two",
+        className: "Healer",
+        notes: "",
+      },
+    });
+    expect(
+      validateApplication({
+        ingameName: "Newbie",
+        guild: "Guild Three",
+        className: "Tank",
+        notes: "",
+      }).error
+    ).toBe('Unknown guild "Guild Three". Choose one of: Guild One, Guild Two');
+  });
+
+  test("opens a private review thread in the class channel", async () => {
+    const { interaction, thread } = await apply();
+
+    expect(tankChannel.activeThreads).toEqual([thread]);
+    expect(thread.name).toBe("newbie [1]");
+    expect(thread.type).toBe(ChannelType.PrivateThread);
+    expect(thread.memberIds).toEqual(["1"]);
+    expect(thread.sent[0].embeds).toHaveLength(2);
+    expect(thread.sent[0].content).toContain("**Guild One** as Tank");
+    expect(interaction.edits[0].content).toContain(`<#${thread.id}>`);
+  });
+
+  test("records the thread and first in-game name right away", async () => {
+    const { thread } = await apply();
+
+    expect(threadManager.getActiveThreadId("1")).toBe(thread.id);
+    expect(await fake.members.getByDiscordId("1")).toMatchObject({
+      has_thread: true,
+      thread_link: `https://discord.com/channels/server1/${thread.id}`,
+      ingame_name: "Newbie",
+    });
+  });
+
+  test("leaves an existing in-game name to the name review", async () => {
+    fake.databases.seed("members", {
+      discord_id: "1",
+      discord_username: "newbie",
+      ingame_name: "OldName",
+    });
+
+    await apply();
+
+    expect((await fake.members.getByDiscordId("1")).ingame_name).toBe(
+      "OldName"
+    );
+  });
+
+  test("sends the first in-game name for approval when required", async () => {
+    process.env.INGAME_NAME_APPROVAL = "true";
+    process.env.OFFICER_CHANNEL_ID = "officers";
+    const officerChannel = guild.addChannel({
+      id: "officers",
+      name: "officers",
+    });
+
+    const { interaction } = await apply();
+
+    expect((await fake.members.getByDiscordId("1")).ingame_name).toBeFalsy();
+    const [request] = officerChannel.sent;
+    expect(request.embeds[0].toJSON().fields[1].value).toBe("Newbie");
+    expect(interaction.edits[0].content).toContain("sent to the officers");
+  });
+
+  test("does not open a second thread", async () => {
+    await apply();
+    const { interaction, thread } = await apply();
+
+    expect(thread).toBeNull();
+    expect(tankChannel.activeThreads).toHaveLength(1);
+    expect(interaction.edits[0].content).toContain(
+      "already have an open application"
+    );
+  });
+
+  test("rejects classes whose review channel is missing", async () => {
+    const { interaction, thread } = await apply({ className: "Healer" });
+
+    expect(thread).toBeNull();
+    expect(interaction.edits[0].content).toContain("not open yet");
+  });
+
+  test("rejects in-game names held by someone else", async () => {
+    fake.databases.seed("members", {
+      discord_id: "2",
+      discord_username: "other",
+      ingame_name: "Newbie",
+      ingame_name_key: "newbie",
+    });
+
+    const { interaction, thread } = await apply();
+
+    expect(thread).toBeNull();
+    // Deferred before the slow name check, so only the edit answers it
+    expect(interaction.deferred).toBe(true);
+    expect(interaction.replies).toEqual([]);
+    expect(interaction.edits[0].content).toContain("already registered");
+  });
+});
@@ -0,0 +1,357 @@
+import { afterEach, beforeEach, describe, expect, spyOn, test } from "bun:test";
+import {
+  BatchUpdateManager,
+  DocumentCache,
+  createBatchManager,
+  documentCache,
+  withRetry,
+} from "../src/utils/appwriteHelpers.js";
+import { metrics, registry } from "../src/utils/metrics.js";
+import { openUpdateJournal } from "../src/utils/updateJournal.js";
+import { createFakeMembers } from "./fakes/appwrite.js";
+
+const FAST_RETRY = { initialDelay: 1 };
+
+function failingOperation(failures, code) {
+  let calls = 0;
+  const operation = async () => {
+    calls++;
+    if (calls <= failures) {
+      const error = new Error(`failure ${calls}`);
+      error.code = code;
+      throw error;
+    }
+    return "ok";
+  };
+  return { operation, calls: () => calls };
+}
+
+describe("withRetry", () => {
+  test("returns the result after transient failures", async () => {
+    const { operation, calls } = failingOperation(2, 500);
+    const attemptsBefore = metrics.retryAttempts.get();
+
+    await expect(withRetry(operation, "test", FAST_RETRY)).resolves.toBe("ok");
+    expect(calls()).toBe(3);
+    expect(metrics.retryAttempts.get() - attemptsBefore).toBe(2);
+  });
+
+  test("throws the last error once retries are exhausted", async () => {
+    const { operation, calls } = failingOperation(5, 500);
+    const failuresBefore = metrics.retryFailures.get();
+
+    await expect(withRetry(operation, "test", FAST_RETRY)).rejects.toThrow(
+      "failure 3"
+    );
+    expect(calls()).toBe(3);
+    expect(metrics.retryFailures.get() - failuresBefore).toBe(1);
+  });
+
+  test("does not retry validation or not-found errors", async () => {
+    for (const code of [400, 404]) {
+      const { operation, calls } = failingOperation(1, code);
+      await expect(withRetry(operation, "test", FAST_RETRY)).rejects.toThrow();
+      expect(calls()).toBe(1);
+    }
+  });
+});
+
+describe("DocumentCache", () => {
+  afterEach(() => {
+    Date.now.mockRestore?.();
+  });
+
+  test("returns cached documents and counts hits and misses", () => {
+    const cache = new DocumentCache();
+    const hitsBefore = metrics.documentCacheLookups.get({ result: "hit" });
+    const missesBefore = metrics.documentCacheLookups.get({ result: "miss" });
+
+    cache.set("1", { $id: "doc1" });
+    expect(cache.get("1")).toEqual({ $id: "doc1" });
+    expect(cache.get("2")).toBeNull();
+
+    expect(
+      metrics.documentCacheLookups.get({ result: "hit" }) - hitsBefore
+    ).toBe(1);
+    expect(
+      metrics.documentCacheLookups.get({ result: "miss" }) - missesBefore
+    ).toBe(1);
+  });
+
+  test("expires entries after one minute", () => {
+    const cache = new DocumentCache();
+    const now = Date.now();
+    cache.set("1", { $id: "doc1" });
+
+    spyOn(Date, "now").mockReturnValue(now + 60001);
+    expect(cache.get("1")).toBeNull();
+    expect(cache.cache.has("1")).toBe(false);
+  });
+
+  test("invalidates and clears entries", () => {
+    const cache = new DocumentCache();
+    cache.set("1", {});
+    cache.set("2", {});
+    cache.invalidate("1");
+    expect(cache.get("1")).toBeNull();
+    cache.clear();
+    expect(cache.get("2")).toBeNull();
+  });
+});
+
+describe("BatchUpdateManager", () => {
+  let fake;
+  let manager;
+
+  beforeEach(() => {
+    documentCache.clear();
+    fake = createFakeMembers();
+    manager = new BatchUpdateManager(fake.members, {
+      retryOptions: FAST_RETRY,
+    });
+  });
+
+  afterEach(() => {
+    clearTimeout(manager.batchTimeout);
+    Date.now.mockRestore?.();
+  });
+
+  test("merges queued updates for the same member into one write", async () => {
+    const doc = fake.databases.seed("members", {
+      discord_id: "1",
+      guild: null,
+    });
+
+    manager.queueUpdate("1", { guild: "Guild One" });
+    manager.queueUpdate("1", { class: "Tank" });
+    expect(manager.getQueueSize()).toBe(1);
+
+    await manager.processBatch();
+
+    const updates = fake.databases.callsTo("updateDocument");
+    expect(updates).toHaveLength(1);
+    expect(updates[0].args[2]).toBe(doc.$id);
+    expect(updates[0].args[3]).toEqual({ guild: "Guild One", class: "Tank" });
+    expect(documentCache.get("1")).toMatchObject({
+      guild: "Guild One",
+      class: "Tank",
+    });
+    expect(manager.getQueueSize()).toBe(0);
+  });
+
+  test("uses the cached document id without looking it up", async () => {
+    documentCache.set("1", { $id: "cached", discord_id: "1" });
+    fake.databases.collection("members").set("cached", {
+      $id: "cached",
+      discord_id: "1",
+    });
+
+    manager.queueUpdate("1", { guild: "Guild Two" });
+    await manager.processBatch();
+
+    expect(fake.databases.callsTo("listDocuments")).toHaveLength(0);
+    expect(fake.databases.callsTo("updateDocument")[0].args[2]).toBe("cached");
+  });
+
+  test("skips members without a record", async () => {
+    manager.queueUpdate("missing", { guild: "Guild One" });
+    await manager.processBatch();
+    expect(fake.databases.callsTo("updateDocument")).toHaveLength(0);
+  });
+
+  test("re-queues updates while the database is unreachable", async () => {
+    fake.databases.seed("members", { discord_id: "1" });
+    fake.databases.down = true;
+    // Skip past the cached result of any earlier connection check
+    spyOn(Date, "now").mockReturnValue(Date.now() + 10 * 60 * 1000);
+
+    manager.queueUpdate("1", { guild: "Guild One" });
+    await manager.processBatch();
+
+    expect(manager.getQueueSize()).toBe(1);
+    expect(manager.pendingUpdates.get("1")).toEqual({ guild: "Guild One" });
+    expect(manager.batchTimeout).not.toBeNull();
+  });
+
+  test("flush writes the queue and leaves no retry scheduled", async () => {
+    spyOn(Date, "now").mockReturnValue(Date.now() + 30 * 60 * 1000);
+    fake.databases.seed("members", { discord_id: "1" });
+    fake.databases.seed("members", { discord_id: "2" });
+
+    manager.queueUpdate("1", { guild: "Guild One" });
+    const inFlight = manager.processBatch();
+    manager.queueUpdate("2", { guild: "Guild Two" });
+
+    expect(await manager.flush()).toBe(0);
+    await inFlight;
+    expect(fake.databases.callsTo("updateDocument")).toHaveLength(2);
+    expect(manager.batchTimeout).toBeNull();
+  });
+
+  test("flush reports updates it could not write", async () => {
+    fake.databases.seed("members", { discord_id: "1" });
+    fake.databases.down = true;
+    spyOn(Date, "now").mockReturnValue(Date.now() + 40 * 60 * 1000);
+
+    manager.queueUpdate("1", { guild: "Guild One" });
+
+    expect(await manager.flush()).toBe(1);
+    expect(manager.batchTimeout).toBeNull();
+  });
+
+  test("reports the queue depth of the latest batch manager", () => {
+    const first = createBatchManager(fake.members);
+    first.queueUpdate("1", { guild: "Guild One" });
+    const later = createBatchManager(fake.members);
+    later.queueUpdate("1", { guild: "Guild One" });
+    later.queueUpdate("2", { guild: "Guild Two" });
+
+    expect(registry.render()).toContain("guild_db_batch_queue_depth 2\n");
+    clearTimeout(first.batchTimeout);
+    clearTimeout(later.batchTimeout);
+  });
+});
+
+describe("BatchUpdateManager journal", () => {
+  let fake;
+  let journal;
+  let manager;
+  let clock;
+
+  // Move past the cached result of the previous connection check
+  function advanceClock() {
+    clock += 10 * 60 * 1000;
+    Date.now.mockReturnValue(clock);
+  }
+
+  beforeEach(async () => {
+    clock = Date.now() + 60 * 60 * 1000;
+    spyOn(Date, "now").mockReturnValue(clock);
+    documentCache.clear();
+    fake = createFakeMembers();
+    journal = await openUpdateJournal(":memory:");
+    manager = new BatchUpdateManager(fake.members, {
+      retryOptions: FAST_RETRY,
+      journal,
+    });
+  });
+
+  afterEach(async () => {
+    clearTimeout(manager.batchTimeout);
+    Date.now.mockRestore();
+    await journal.close();
+  });
+
+  test("clears journaled updates once they are written", async () => {
+    fake.databases.seed("members", { discord_id: "1" });
+
+    manager.queueUpdate("1", { guild: "Guild One" }, "guild_role_update");
+    await Promise.all(manager.pendingJournalIds.get("1"));
+    expect(await journal.load()).toMatchObject([
+      {
+        userId: "1",
+        fields: { guild: "Guild One" },
+        source: "guild_role_update",
+      },
+    ]);
+
+    advanceClock();
+    await manager.processBatch();
+    expect(await journal.load()).toEqual([]);
+  });
+
+  test("re-queues and keeps journaled updates that fail to write", async () => {
+    fake.databases.seed("members", { discord_id: "1", guild: null });
+    advanceClock();
+    fake.databases.failWith("updateDocument", 503, 3);
+
+    manager.queueUpdate("1", { guild: "Guild One" }, "guild_role_update");
+    await manager.processBatch();
+    expect(manager.pendingUpdates.get("1")).toEqual({ guild: "Guild One" });
+    expect(manager.batchTimeout).not.toBeNull();
+    expect(await journal.load()).toHaveLength(1);
+
+    manager.queueUpdate("1", { class: "Tank" }, "weapon_role_update");
+    await manager.processBatch();
+    expect(await fake.members.getByDiscordId("1")).toMatchObject({
+      guild: "Guild One",
+      class: "Tank",
+    });
+    expect(await journal.load()).toEqual([]);
+  });
+
+  test("drops and clears updates rejected with a client error", async () => {
+    fake.databases.seed("members", { discord_id: "1", guild: null });
+    advanceClock();
+    fake.databases.failWith("updateDocument", 403);
+
+    manager.queueUpdate("1", { guild: "Guild One" }, "guild_role_update");
+    await manager.processBatch();
+
+    expect(manager.getQueueSize()).toBe(0);
+    expect(manager.batchTimeout).toBeNull();
+    expect(await journal.load()).toEqual([]);
+  });
+
+  test("gives up on an update that keeps failing", async () => {
+    fake.databases.seed("members", { discord_id: "1", guild: null });
+    advanceClock();
+    fake.databases.failWith("updateDocument", 503, 30);
+
+    manager.queueUpdate("1", { guild: "Guild One" }, "guild_role_update");
+    let batches = 0;
+    while (manager.getQueueSize() > 0) {
+      await manager.processBatch();
+      batches++;
+    }
+
+    expect(batches).toBe(10);
+    expect(await journal.load()).toEqual([]);
+  });
+
+  test("removes only the given journal entries", async () => {
+    const first = await journal.append("1", { guild: "Guild One" });
+    const second = await journal.append("1", { class: "Tank" });
+    const third = await journal.append("1", { guild: "Guild Two" });
+
+    await journal.remove([second]);
+
+    expect((await journal.load()).map((entry) => entry.id)).toEqual([
+      first,
+      third,
+    ]);
+  });
+
+  test("replays updates that were not written before a restart", async () => {
+    fake.databases.seed("members", { discord_id: "1", guild: null });
+    fake.databases.down = true;
+    advanceClock();
+
+    manager.queueUpdate("1", { guild: "Guild One" }, "guild_role_update");
+    manager.queueUpdate("1", { class: "Tank" }, "weapon_role_update");
+    await manager.processBatch();
+    expect(await journal.load()).toHaveLength(2);
+
+    // A new manager on the same journal stands in for the restarted bot
+    clearTimeout(manager.batchTimeout);
+    fake.databases.down = false;
+    advanceClock();
+    const restarted = new BatchUpdateManager(fake.members, {
+      retryOptions: FAST_RETRY,
+      journal,
+    });
+    expect(await restarted.replayJournal()).toBe(2);
+    await restarted.processBatch();
+
+    expect(await fake.members.getByDiscordId("1")).toMatchObject({
+      guild: "Guild One",
+      class: "Tank",
+    });
+    const { documents } = await fake.history.listForMember("1");
+    expect(documents.map((entry) => entry.source)).toEqual([
+      "guild_role_update,weapon_role_update",
+      "guild_role_update,weapon_role_update",
+    ]);
+    expect(await journal.load()).toEqual([]);
+  });
+});
@@ -0,0 +1,118 @@
+import { afterEach, beforeEach, describe, expect, test } from "bun:test";
+import { getConfig, validateConfig } from "../src/utils/config.js";
+import {
+  createClassBalanceMonitor,
+  getClassLimits,
+} from "../src/utils/classBalance.js";
+import { createFakeMembers } from "./fakes/appwrite.js";
+import { FakeClient, FakeGuild } from "./fakes/discord.js";
+
+describe("class balance", () => {
+  let fake;
+  let guild;
+  let client;
+  let officerChannel;
+  let monitor;
+
+  beforeEach(() => {
+    process.env.OFFICER_CHANNEL_ID = "officers";
+    fake = createFakeMembers();
+    guild = new FakeGuild();
+    client = new FakeClient([guild]);
+    officerChannel = guild.addChannel({ id: "officers", name: "officers" });
+    monitor = createClassBalanceMonitor({ client, members: fake.members });
+  });
+
+  afterEach(() => {
+    monitor.cancel();
+    delete process.env.OFFICER_CHANNEL_ID;
+  });
+
+  function addMember(className, guildName = "Guild One") {
+    return fake.databases.seed("members", {
+      guild: guildName,
+      class: className,
+      primary_weapon: className === "Tank" ? "Sword and Shield" : "Wand",
+      secondary_weapon: className === "Tank" ? "Greatsword" : "Staff",
+    });
+  }
+
+  test("reads limits from the guild config", () => {
+    expect(getClassLimits()).toEqual([
+      { guild: "Guild One", className: "Healer", min: 2, max: null },
+      { guild: "Guild One", className: "Tank", min: null, max: 1 },
+    ]);
+  });
+
+  test("stays quiet on the first check", async () => {
+    addMember("Tank");
+    addMember("Tank");
+
+    expect(await monitor.check()).toEqual([]);
+    expect(officerChannel.sent).toHaveLength(0);
+  });
+
+  test("alerts when a count crosses a limit and again when it recovers", async () => {
+    addMember("Healer");
+    const healer = addMember("Healer");
+    await monitor.check();
+
+    addMember("Tank");
+    addMember("Tank");
+    await monitor.check();
+    await fake.members.clearGuildFields(healer.$id);
+    await monitor.check();
+    addMember("Healer");
+    await monitor.check();
+    await monitor.check();
+
+    expect(officerChannel.sent.map((message) => message.content)).toEqual([
+      "⚠️ **Guild One** Tank count rose to 2 (allows at most 1)",
+      "⚠️ **Guild One** Healer count dropped to 1 (needs at least 2)",
+      "✅ **Guild One** Healer count is back in range at 2 (at least 2)",
+    ]);
+  });
+
+  test("alerts for a new limit that is already crossed", async () => {
+    addMember("Healer");
+    addMember("Healer");
+    await monitor.check();
+
+    const guildTwo = getConfig().guilds.find(
+      (config) => config.name === "Guild Two"
+    );
+    guildTwo.classLimits = { Tank: { max: 0 } };
+    try {
+      addMember("Tank", "Guild Two");
+      await monitor.check();
+    } finally {
+      delete guildTwo.classLimits;
+    }
+
+    expect(officerChannel.sent.map((message) => message.content)).toEqual([
+      "⚠️ **Guild Two** Tank count rose to 1 (allows at most 0)",
+    ]);
+  });
+
+  test("validates limits in the config", () => {
+    const config = {
+      guilds: [
+        {
+          roleId: "g1",
+          name: "G",
+          classLimits: { Healer: { min: 5, max: 2 }, Wizard: { min: -1 } },
+        },
+      ],
+      weapons: [
+        { roleId: "w1", primary: "A", secondary: "B", class: "Healer" },
+      ],
+      reviewChannels: {},
+    };
+
+    expect(validateConfig(config)).toEqual([
+      "guilds[0].classLimits.Healer.min is greater than max",
+      "guilds[0].classLimits.Wizard is not a known class",
+      "guilds[0].classLimits.Wizard.min must be a non-negative integer",
+    ]);
+  });
+});
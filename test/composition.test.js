@@ -0,0 +1,130 @@
+import { afterEach, beforeEach, describe, expect, test } from "bun:test";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  buildComposition,
+  buildCompositionEmbeds,
+  postCompositionReport,
+} from "../src/utils/composition.js";
+import { compositionCommand } from "../src/commands/composition.js";
+import { createFakeMembers } from "./fakes/appwrite.js";
+import { FakeClient, FakeGuild, FakeInteraction } from "./fakes/discord.js";
+
+const TANK = {
+  class: "Tank",
+  primary_weapon: "Sword and Shield",
+  secondary_weapon: "Greatsword",
+};
+const HEALER = {
+  class: "Healer",
+  primary_weapon: "Wand",
+  secondary_weapon: "Staff",
+};
+
+function fields(embed) {
+  return Object.fromEntries(
+    embed.toJSON().fields.map((field) => [field.name, field.value])
+  );
+}
+
+describe("guild composition", () => {
+  test("counts members by class and weapon combo for each guild", () => {
+    const composition = buildComposition([
+      { guild: "Guild One", ...TANK },
+      { guild: "Guild One", ...TANK },
+      { guild: "Guild One", ...HEALER },
+      { guild: "Guild One" },
+      { guild: null, ...TANK },
+    ]);
+
+    expect(composition).toEqual({
+      "Guild One": {
+        total: 4,
+        classes: { Tank: 2, Healer: 1 },
+        combos: { "Sword and Shield/Greatsword": 2, "Wand/Staff": 1 },
+        noWeapon: 1,
+      },
+      "Guild Two": { total: 0, classes: {}, combos: {}, noWeapon: 0 },
+    });
+  });
+
+  test("shows changes since the previous snapshot", () => {
+    const previous = {
+      takenAt: "2024-01-01T00:00:00.000Z",
+      composition: buildComposition([
+        { guild: "Guild One", ...TANK },
+        { guild: "Guild One", ...HEALER },
+      ]),
+    };
+    const composition = buildComposition([
+      { guild: "Guild One", ...TANK },
+      { guild: "Guild One", ...TANK },
+    ]);
+
+    const [guildOne] = buildCompositionEmbeds(composition, previous);
+
+    expect(guildOne.toJSON().description).toBe("**2** members");
+    expect(fields(guildOne)).toMatchObject({
+      Classes: "Tank: 2 (+1)\nHealer: 0 (-1)",
+      "Weapon combos":
+        "Sword and Shield/Greatsword: 2 (+1)\nWand/Staff: 0 (-1)",
+      "No weapon role": "0",
+    });
+  });
+
+  describe("scheduled report", () => {
+    let dir;
+    let fake;
+    let guild;
+    let client;
+    let channel;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "composition-"));
+      process.env.COMPOSITION_STATE_PATH = path.join(dir, "composition.json");
+      process.env.COMPOSITION_CHANNEL_ID = "composition";
+      fake = createFakeMembers();
+      guild = new FakeGuild();
+      client = new FakeClient([guild]);
+      channel = guild.addChannel({ id: "composition", name: "composition" });
+    });
+
+    afterEach(() => {
+      delete process.env.COMPOSITION_STATE_PATH;
+      delete process.env.COMPOSITION_CHANNEL_ID;
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test("posts every guild and compares with the last post", async () => {
+      fake.databases.seed("members", { guild: "Guild Two", ...HEALER });
+      await postCompositionReport(client, fake.members);
+
+      fake.databases.seed("members", { guild: "Guild Two", ...HEALER });
+      await postCompositionReport(client, fake.members);
+
+      expect(channel.sent).toHaveLength(2);
+      expect(channel.sent[0].embeds).toHaveLength(2);
+      const guildTwo = channel.sent[1].embeds[1];
+      expect(guildTwo.toJSON().description).toBe("**2 (+1)** members");
+      expect(fields(guildTwo).Classes).toBe("Healer: 2 (+1)");
+    });
+
+    test("/composition defers before counting members", async () => {
+      fake.databases.seed("members", { guild: "Guild One", ...TANK });
+      const interaction = new FakeInteraction({
+        client,
+        guild,
+        member: guild.addMember({ id: "10", username: "officer" }),
+      });
+
+      await compositionCommand.execute(interaction, { members: fake.members });
+
+      expect(interaction.deferred).toBe(true);
+      expect(interaction.replies).toHaveLength(0);
+      expect(interaction.edits[0].embeds[0].toJSON().description).toBe(
+        "**1** members"
+      );
+    });
+  });
+});
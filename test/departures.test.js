@@ -0,0 +1,62 @@
+import { beforeEach, describe, expect, test } from "bun:test";
+import { AuditLogEvent } from "discord.js";
+import {
+  findDepartureReason,
+  findRecentDepartureReason,
+} from "../src/utils/departures.js";
+import { FakeGuild } from "./fakes/discord.js";
+
+describe("findDepartureReason", () => {
+  let guild;
+
+  beforeEach(() => {
+    guild = new FakeGuild();
+  });
+
+  function kick(targetId, createdTimestamp = Date.now()) {
+    guild.auditLog.push({
+      action: AuditLogEvent.MemberKick,
+      targetId,
+      createdTimestamp,
+    });
+  }
+
+  test("finds bans in the ban list", async () => {
+    guild.addBan("1");
+    expect(await findDepartureReason(guild, "1")).toBe("banned");
+  });
+
+  test("finds kicks in the audit log", async () => {
+    kick("2");
+    kick("1");
+    expect(await findDepartureReason(guild, "1")).toBe("kicked");
+  });
+
+  test("ignores kicks from before `since`", async () => {
+    kick("1", Date.now() - 60 * 60 * 1000);
+    const since = new Date(Date.now() - 60 * 1000);
+
+    expect(await findDepartureReason(guild, "1", { since })).toBe("left");
+  });
+
+  test("falls back to left when the audit log can't be read", async () => {
+    kick("1");
+    guild.auditLogError = new Error("Missing Permissions");
+
+    expect(await findDepartureReason(guild, "1")).toBe("left");
+  });
+
+  test("checks again for kicks logged after the member was removed", async () => {
+    setTimeout(() => kick("1"), 5);
+
+    expect(
+      await findRecentDepartureReason(guild, "1", { delays: [1, 20] })
+    ).toBe("kicked");
+  });
+
+  test("settles on left once the rechecks find nothing", async () => {
+    expect(
+      await findRecentDepartureReason(guild, "1", { delays: [1, 1] })
+    ).toBe("left");
+  });
+});
@@ -0,0 +1,168 @@
+import { AppwriteStorage } from "../../src/utils/storage.js";
+import { createMemberRepository } from "../../src/utils/memberRepository.js";
+import { MemberHistory } from "../../src/utils/memberHistory.js";
+
+// In-memory stand-in for the node-appwrite Databases service
+
+function appwriteError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function applyQueries(documents, queries = []) {
+  let result = [...documents];
+  let limit = 25;
+  let offset = 0;
+
+  for (const raw of queries) {
+    const query = JSON.parse(raw);
+    switch (query.method) {
+      case "equal":
+        result = result.filter((doc) =>
+          query.values.includes(doc[query.attribute])
+        );
+        break;
+      case "isNull":
+        result = result.filter((doc) => doc[query.attribute] == null);
+        break;
+      case "orderAsc":
+      case "orderDesc": {
+        const direction = query.method === "orderAsc" ? 1 : -1;
+        result.sort((a, b) =>
+          a[query.attribute] < b[query.attribute]
+            ? -direction
+            : a[query.attribute] > b[query.attribute]
+            ? direction
+            : 0
+        );
+        break;
+      }
+      case "limit":
+        limit = query.values[0];
+        break;
+      case "offset":
+        offset = query.values[0];
+        break;
+      default:
+        throw appwriteError(`Unsupported query ${query.method}`, 400);
+    }
+  }
+
+  return {
+    total: result.length,
+    documents: result.slice(offset, offset + limit),
+  };
+}
+
+export class FakeDatabases {
+  constructor() {
+    this.collections = new Map(); // collectionId -> Map(docId -> doc)
+    this.calls = [];
+    this.failNext = [];
+    this.down = false;
+    this.sequence = 0;
+  }
+
+  // Make the next matching call(s) throw, e.g. failWith("updateDocument", 500)
+  failWith(method, code = 500, times = 1) {
+    for (let i = 0; i < times; i++) {
+      this.failNext.push({ method, code });
+    }
+  }
+
+  record(method, args) {
+    this.calls.push({ method, args });
+    if (this.down) {
+      throw appwriteError("fetch failed", 503);
+    }
+    const index = this.failNext.findIndex((entry) => entry.method === method);
+    if (index !== -1) {
+      const { code } = this.failNext.splice(index, 1)[0];
+      throw appwriteError(`Simulated ${method} failure`, code);
+    }
+  }
+
+  callsTo(method, collectionId = null) {
+    return this.calls.filter(
+      (call) =>
+        call.method === method &&
+        (!collectionId || call.args[1] === collectionId)
+    );
+  }
+
+  collection(collectionId) {
+    if (!this.collections.has(collectionId)) {
+      this.collections.set(collectionId, new Map());
+    }
+    return this.collections.get(collectionId);
+  }
+
+  // Seed a document directly, bypassing call recording
+  seed(collectionId, data) {
+    const now = new Date(Date.now() + this.sequence++).toISOString();
+    const doc = {
+      $id: `doc${this.sequence}`,
+      $createdAt: now,
+      $updatedAt: now,
+      ...data,
+    };
+    this.collection(collectionId).set(doc.$id, doc);
+    return doc;
+  }
+
+  async listCollections(databaseId) {
+    this.record("listCollections", [databaseId]);
+    return { total: this.collections.size, collections: [] };
+  }
+
+  async listDocuments(databaseId, collectionId, queries) {
+    this.record("listDocuments", [databaseId, collectionId, queries]);
+    const documents = Array.from(this.collection(collectionId).values());
+    return applyQueries(documents, queries);
+  }
+
+  async getDocument(databaseId, collectionId, documentId) {
+    this.record("getDocument", [databaseId, collectionId, documentId]);
+    const doc = this.collection(collectionId).get(documentId);
+    if (!doc) throw appwriteError("Document not found", 404);
+    return { ...doc };
+  }
+
+  async createDocument(databaseId, collectionId, documentId, data) {
+    this.record("createDocument", [databaseId, collectionId, documentId, data]);
+    const doc = this.seed(collectionId, data);
+    return { ...doc };
+  }
+
+  async updateDocument(databaseId, collectionId, documentId, data) {
+    this.record("updateDocument", [databaseId, collectionId, documentId, data]);
+    const docs = this.collection(collectionId);
+    const existing = docs.get(documentId);
+    if (!existing) throw appwriteError("Document not found", 404);
+    const updated = {
+      ...existing,
+      ...data,
+      $updatedAt: new Date().toISOString(),
+    };
+    docs.set(documentId, updated);
+    return { ...updated };
+  }
+
+  async deleteDocument(databaseId, collectionId, documentId) {
+    this.record("deleteDocument", [databaseId, collectionId, documentId]);
+    this.collection(collectionId).delete(documentId);
+  }
+}
+
+// Member repository and history backed by the real Appwrite adapter over a
+// FakeDatabases
+export function createFakeMembers() {
+  const databases = new FakeDatabases();
+  const storage = new AppwriteStorage(databases, "db");
+  const history = new MemberHistory(
+    storage.collection("member_history", "member_history")
+  );
+  const members = createMemberRepository(storage, { history });
+  return { databases, storage, members, history };
+}
@@ -0,0 +1,328 @@
+import { Collection } from "discord.js";
+
+// Minimal stand-ins for the discord.js objects the bot touches
+
+export class FakeUser {
+  constructor({ id, username, displayName, bot = false }) {
+    this.id = id;
+    this.username = username;
+    this.displayName = displayName || username;
+    this.bot = bot;
+    this.dms = [];
+  }
+
+  async send(message) {
+    this.dms.push(message);
+    return message;
+  }
+
+  toString() {
+    return `<@${this.id}>`;
+  }
+}
+
+export class FakeGuildMember {
+  constructor(
+    guild,
+    {
+      id,
+      username,
+      displayName,
+      nickname = null,
+      roles = [],
+      bot = false,
+      permissions = [],
+      manageable = true,
+      joinedAt = null,
+    }
+  ) {
+    this.id = id;
+    this.joinedAt = joinedAt;
+    this.guild = guild;
+    this.nickname = nickname;
+    this.manageable = manageable;
+    this.nicknameError = null;
+    this.user = new FakeUser({ id, username, displayName, bot });
+    // Roles are IDs, or { id, position } when a test needs the role order
+    this.roles = {
+      cache: new Collection(
+        roles.map((role) =>
+          typeof role === "string" ? [role, { id: role }] : [role.id, role]
+        )
+      ),
+    };
+    this.roles.add = async (roleIds) => {
+      if (this.rolesError) throw this.rolesError;
+      for (const id of [roleIds].flat()) this.roles.cache.set(id, { id });
+      return this;
+    };
+    this.roles.remove = async (roleIds) => {
+      if (this.rolesError) throw this.rolesError;
+      for (const id of [roleIds].flat()) this.roles.cache.delete(id);
+      return this;
+    };
+    this.rolesError = null;
+    this.permissions = {
+      has: (permission) => permissions.includes(permission),
+    };
+  }
+
+  async setNickname(nickname) {
+    if (this.nicknameError) throw this.nicknameError;
+    this.nickname = nickname;
+    return this;
+  }
+
+  // Return a copy with a different set of roles, like an update event would
+  withRoles(roles) {
+    return new FakeGuildMember(this.guild, {
+      id: this.id,
+      username: this.user.username,
+      displayName: this.user.displayName,
+      nickname: this.nickname,
+      roles,
+      bot: this.user.bot,
+      joinedAt: this.joinedAt,
+    });
+  }
+}
+
+export class FakeThread {
+  constructor(guild, parent, { id, name, archived = false, locked = false }) {
+    this.id = id;
+    this.name = name;
+    this.guild = guild;
+    this.parent = parent;
+    this.parentId = parent?.id || null;
+    this.archived = archived;
+    this.locked = locked;
+    this.sent = [];
+    this.memberIds = [];
+    this.members = {
+      add: async (userId) => {
+        this.memberIds.push(userId);
+      },
+    };
+  }
+
+  async send(message) {
+    this.sent.push(message);
+    return message;
+  }
+
+  toString() {
+    return `<#${this.id}>`;
+  }
+}
+
+export class FakeTextChannel {
+  constructor(guild, { id, name }) {
+    this.id = id;
+    this.name = name;
+    this.guild = guild;
+    this.activeThreads = [];
+    this.archivedThreads = [];
+    this.sent = [];
+    this.threads = {
+      fetchActive: async () => ({
+        threads: new Collection(this.activeThreads.map((t) => [t.id, t])),
+      }),
+      fetchArchived: async ({ before } = {}) => {
+        // Return every archived thread on the first page, nothing afterwards
+        const threads = before ? [] : this.archivedThreads;
+        return { threads: new Collection(threads.map((t) => [t.id, t])) };
+      },
+      create: async ({ name, type }) => {
+        const id = `thread${this.guild.channels.cache.size + 1}`;
+        const thread = this.addThread({ id, name });
+        thread.type = type;
+        return thread;
+      },
+    };
+  }
+
+  async send(message) {
+    const sent = {
+      id: `message${this.sent.length + 1}`,
+      ...message,
+      edits: [],
+      edit: async (update) => {
+        sent.edits.push(update);
+        return sent;
+      },
+    };
+    this.sent.push(sent);
+    return sent;
+  }
+
+  addThread(options) {
+    const thread = new FakeThread(this.guild, this, options);
+    if (thread.archived) {
+      this.archivedThreads.push(thread);
+    } else {
+      this.activeThreads.push(thread);
+    }
+    this.guild.channels.cache.set(thread.id, thread);
+    return thread;
+  }
+}
+
+export class FakeGuild {
+  constructor({ id = "server1", name = "Test Server" } = {}) {
+    this.id = id;
+    this.name = name;
+    const guild = this;
+
+    this.members = {
+      cache: new Collection(),
+      async fetch(userId) {
+        if (userId) {
+          const member = guild.members.cache.get(userId);
+          if (!member) throw new Error("Unknown Member");
+          return member;
+        }
+        return new Collection(guild.members.cache);
+      },
+    };
+
+    this.channels = {
+      cache: new Collection(),
+      async fetch(channelId) {
+        const channel = guild.channels.cache.get(channelId);
+        if (!channel) throw new Error("Unknown Channel");
+        return channel;
+      },
+    };
+
+    this.bans = {
+      cache: new Collection(),
+      async fetch(userId) {
+        const ban = guild.bans.cache.get(userId);
+        if (!ban) throw new Error("Unknown Ban");
+        return ban;
+      },
+    };
+
+    // Audit log entries as { action, targetId, createdTimestamp }, or an
+    // error to throw when the bot lacks View Audit Log
+    this.auditLog = [];
+    this.auditLogError = null;
+  }
+
+  async fetchAuditLogs({ type, limit = 50 } = {}) {
+    if (this.auditLogError) throw this.auditLogError;
+    const entries = this.auditLog
+      .filter((entry) => entry.action === type)
+      .slice(-limit)
+      .map((entry, i) => [`entry${i}`, entry]);
+    return { entries: new Collection(entries) };
+  }
+
+  addMember(options) {
+    const member = new FakeGuildMember(this, options);
+    this.members.cache.set(member.id, member);
+    return member;
+  }
+
+  removeMember(userId) {
+    this.members.cache.delete(userId);
+  }
+
+  addBan(userId) {
+    this.removeMember(userId);
+    this.bans.cache.set(userId, { user: { id: userId } });
+  }
+
+  addChannel(options) {
+    const channel = new FakeTextChannel(this, options);
+    this.channels.cache.set(channel.id, channel);
+    return channel;
+  }
+}
+
+export class FakeClient {
+  constructor(guilds = []) {
+    this.ws = { status: 0 };
+    this.user = { id: "bot", tag: "Bot#0001" };
+    this.guilds = {
+      cache: new Collection(guilds.map((guild) => [guild.id, guild])),
+      fetch: async (guildId) => this.guilds.cache.get(guildId) || null,
+    };
+    this.channels = {
+      fetch: async (channelId) => {
+        for (const guild of this.guilds.cache.values()) {
+          const channel = guild.channels.cache.get(channelId);
+          if (channel) return channel;
+        }
+        throw new Error("Unknown Channel");
+      },
+    };
+    this.users = {
+      fetch: async (userId) => {
+        for (const guild of this.guilds.cache.values()) {
+          const member = guild.members.cache.get(userId);
+          if (member) return member.user;
+        }
+        throw new Error("Unknown User");
+      },
+    };
+  }
+}
+
+// Records how a component or command interaction was answered
+export class FakeInteraction {
+  constructor({
+    client,
+    guild,
+    member,
+    customId,
+    message = null,
+    options = {},
+    values = [],
+    fields = {},
+  }) {
+    this.client = client;
+    this.guild = guild;
+    this.member = member;
+    this.user = member.user;
+    this.customId = customId;
+    this.message = message;
+    this.commandName = options.commandName;
+    this.options = options;
+    this.values = values;
+    this.fields = {
+      getTextInputValue: (id) => fields[id] ?? "",
+    };
+    this.replies = [];
+    this.followUps = [];
+    this.edits = [];
+    this.replied = false;
+    this.deferred = false;
+  }
+
+  async reply(message) {
+    this.replied = true;
+    this.replies.push(message);
+  }
+
+  async deferReply() {
+    this.deferred = true;
+  }
+
+  async deferUpdate() {
+    this.deferred = true;
+  }
+
+  async followUp(message) {
+    this.followUps.push(message);
+  }
+
+  async editReply(message) {
+    this.edits.push(message);
+  }
+
+  async update(message) {
+    this.replied = true;
+    this.edits.push(message);
+  }
+}
@@ -0,0 +1,177 @@
+import { afterEach, beforeEach, describe, expect, test } from "bun:test";
+import {
+  backfillIngameNameKeys,
+  findDuplicateIngameNames,
+  getIngameNameCooldownRemaining,
+  normalizeIngameName,
+  setIngameName,
+  validateIngameName,
+} from "../src/utils/ingameName.js";
+import { createFakeMembers } from "./fakes/appwrite.js";
+
+describe("validateIngameName", () => {
+  test("accepts and trims a valid name", () => {
+    expect(validateIngameName("  Hazard  ")).toEqual({
+      valid: true,
+      value: "Hazard",
+    });
+  });
+
+  test("accepts non-latin letters", () => {
+    expect(validateIngameName("한글이름").valid).toBe(true);
+  });
+
+  test("rejects non-string input", () => {
+    expect(validateIngameName(null).valid).toBe(false);
+    expect(validateIngameName(42).valid).toBe(false);
+  });
+
+  test("rejects names outside 2-16 characters", () => {
+    expect(validateIngameName("a").error).toMatch(/at least 2/);
+    expect(validateIngameName("a".repeat(17)).error).toMatch(/longer than 16/);
+  });
+
+  test("rejects spaces and punctuation", () => {
+    expect(validateIngameName("two words").valid).toBe(false);
+    expect(validateIngameName("name!").valid).toBe(false);
+  });
+});
+
+describe("normalizeIngameName", () => {
+  test("ignores case and Unicode compatibility forms", () => {
+    expect(normalizeIngameName("Hazard")).toBe(normalizeIngameName("hAZARD"));
+    expect(normalizeIngameName("Ｈａｚａｒｄ")).toBe("hazard");
+    expect(normalizeIngameName("Ame\u0301lie")).toBe(
+      normalizeIngameName("Am\u00e9lie")
+    );
+  });
+});
+
+describe("findDuplicateIngameNames", () => {
+  test("groups records sharing a normalized name", () => {
+    const groups = findDuplicateIngameNames([
+      { discord_id: "1", ingame_name: "Hazard" },
+      { discord_id: "2", ingame_name: "hazard" },
+      { discord_id: "3", ingame_name: "Other" },
+      { discord_id: "4", ingame_name: null },
+    ]);
+    expect(groups).toHaveLength(1);
+    expect(groups[0].map((doc) => doc.discord_id)).toEqual(["1", "2"]);
+  });
+});
+
+describe("backfillIngameNameKeys", () => {
+  test("keys records saved before the key existed", async () => {
+    const fake = createFakeMembers();
+    fake.databases.seed("members", { discord_id: "1", ingame_name: "Hazard" });
+    fake.databases.seed("members", { discord_id: "2", ingame_name: null });
+
+    expect(await backfillIngameNameKeys(fake.members)).toBe(1);
+    expect(await backfillIngameNameKeys(fake.members)).toBe(0);
+    expect((await fake.members.getByDiscordId("1")).ingame_name_key).toBe(
+      "hazard"
+    );
+  });
+});
+
+describe("setIngameName", () => {
+  let fake;
+
+  beforeEach(() => {
+    fake = createFakeMembers();
+    fake.databases.seed("members", {
+      discord_id: "1",
+      ingame_name: "Hazard",
+      ingame_name_key: "hazard",
+    });
+    fake.databases.seed("members", { discord_id: "2", ingame_name: null });
+  });
+
+  test("sets a free name", async () => {
+    expect(await setIngameName(fake.members, "2", "Fresh")).toEqual({
+      success: true,
+    });
+    expect((await fake.members.getByDiscordId("2")).ingame_name).toBe("Fresh");
+  });
+
+  test("rejects a name held by another member regardless of case", async () => {
+    const result = await setIngameName(fake.members, "2", "HAZARD");
+    expect(result.success).toBe(false);
+    expect(result.conflict.discord_id).toBe("1");
+    expect((await fake.members.getByDiscordId("2")).ingame_name).toBeNull();
+  });
+
+  test("lets only one of two simultaneous claims take a name", async () => {
+    fake.databases.seed("members", { discord_id: "3", ingame_name: null });
+
+    const results = await Promise.all([
+      setIngameName(fake.members, "2", "Fresh"),
+      setIngameName(fake.members, "3", "fresh"),
+    ]);
+
+    expect(results.map((result) => result.success)).toEqual([true, false]);
+    expect(results[1].conflict.discord_id).toBe("2");
+    expect(await fake.members.getByDiscordId("2")).toMatchObject({
+      ingame_name: "Fresh",
+      ingame_name_key: "fresh",
+    });
+  });
+
+  test("lets a member re-save their own name with different casing", async () => {
+    expect((await setIngameName(fake.members, "1", "hazard")).success).toBe(
+      true
+    );
+  });
+
+  test("stamps the change time and records the old name", async () => {
+    await setIngameName(fake.members, "1", "Renamed");
+
+    const doc = await fake.members.getByDiscordId("1");
+    expect(doc.ingame_name_changed_at).toBeString();
+    expect(await fake.history.listIngameNameAliases("1")).toEqual([
+      { name: "Hazard", set_at: null },
+      { name: "Renamed", set_at: doc.ingame_name_changed_at },
+    ]);
+  });
+
+  test("does not rewrite an unchanged name", async () => {
+    await setIngameName(fake.members, "1", "Hazard");
+    expect(
+      (await fake.members.getByDiscordId("1")).ingame_name_changed_at
+    ).toBeUndefined();
+  });
+
+  test("fails for members without a record", async () => {
+    expect(await setIngameName(fake.members, "3", "Nobody")).toEqual({
+      success: false,
+    });
+  });
+});
+
+describe("getIngameNameCooldownRemaining", () => {
+  const HOUR = 60 * 60 * 1000;
+  const changedAt = "2024-01-01T00:00:00.000Z";
+  const now = new Date(changedAt).getTime();
+
+  afterEach(() => {
+    delete process.env.INGAME_NAME_COOLDOWN_HOURS;
+  });
+
+  test("is disabled by default", () => {
+    const doc = { ingame_name: "Hazard", ingame_name_changed_at: changedAt };
+    expect(getIngameNameCooldownRemaining(doc, now)).toBe(0);
+  });
+
+  test("counts down from the last change", () => {
+    process.env.INGAME_NAME_COOLDOWN_HOURS = "24";
+    const doc = { ingame_name: "Hazard", ingame_name_changed_at: changedAt };
+    expect(getIngameNameCooldownRemaining(doc, now + HOUR)).toBe(23 * HOUR);
+    expect(getIngameNameCooldownRemaining(doc, now + 25 * HOUR)).toBe(0);
+  });
+
+  test("never blocks setting a first name", () => {
+    process.env.INGAME_NAME_COOLDOWN_HOURS = "24";
+    expect(getIngameNameCooldownRemaining(null, now)).toBe(0);
+    expect(getIngameNameCooldownRemaining({ ingame_name: null }, now)).toBe(0);
+  });
+});
@@ -0,0 +1,150 @@
+import { afterEach, beforeEach, describe, expect, test } from "bun:test";
+import { PermissionFlagsBits } from "discord.js";
+import {
+  handleApprovalButton,
+  isApprovalButton,
+  requestIngameNameApproval,
+} from "../src/utils/ingameNameApproval.js";
+import { createFakeMembers } from "./fakes/appwrite.js";
+import { FakeClient, FakeGuild, FakeInteraction } from "./fakes/discord.js";
+
+describe("ingame name approval", () => {
+  let fake;
+  let guild;
+  let client;
+  let officerChannel;
+  let officer;
+  let applicant;
+  let synced;
+
+  beforeEach(() => {
+    process.env.OFFICER_CHANNEL_ID = "officers";
+    fake = createFakeMembers();
+    guild = new FakeGuild();
+    client = new FakeClient([guild]);
+    officerChannel = guild.addChannel({ id: "officers", name: "officers" });
+    officer = guild.addMember({
+      id: "10",
+      username: "officer",
+      permissions: [PermissionFlagsBits.ManageRoles],
+    });
+    applicant = guild.addMember({ id: "1", username: "applicant" });
+    fake.databases.seed("members", { discord_id: "1", ingame_name: "Old" });
+    synced = [];
+  });
+
+  afterEach(() => {
+    delete process.env.OFFICER_CHANNEL_ID;
+  });
+
+  async function postRequest(name) {
+    const message = await requestIngameNameApproval(
+      client,
+      applicant.user,
+      name,
+      "Old"
+    );
+    return message;
+  }
+
+  function press(message, index, member = officer) {
+    const button = message.components[0].toJSON().components[index];
+    return new FakeInteraction({
+      client,
+      guild,
+      member,
+      customId: button.custom_id,
+      message: {
+        id: message.id,
+        embeds: message.embeds.map((embed) => embed.toJSON()),
+      },
+    });
+  }
+
+  const context = () => ({
+    members: fake.members,
+    syncMember: async (member, source) => synced.push([member.id, source]),
+  });
+
+  test("posts a request with approve and reject buttons", async () => {
+    const message = await postRequest("NewName");
+
+    expect(officerChannel.sent).toHaveLength(1);
+    const buttons = message.components[0].toJSON().components;
+    expect(buttons.map((button) => button.custom_id)).toEqual([
+      "ingameNameApprove:1:NewName",
+      "ingameNameReject:1:NewName",
+    ]);
+    expect(buttons.every((button) => isApprovalButton(button.custom_id))).toBe(
+      true
+    );
+  });
+
+  test("approving writes the name and tells the member", async () => {
+    const interaction = press(await postRequest("NewName"), 0);
+
+    await handleApprovalButton(interaction, context());
+
+    expect((await fake.members.getByDiscordId("1")).ingame_name).toBe(
+      "NewName"
+    );
+    expect(applicant.user.dms[0]).toMatch(/approved/);
+    expect(synced).toEqual([["1", "ingame_name_update"]]);
+    expect(interaction.edits[0].components).toEqual([]);
+  });
+
+  test("rejecting leaves the record untouched", async () => {
+    const interaction = press(await postRequest("NewName"), 1);
+
+    await handleApprovalButton(interaction, context());
+
+    expect((await fake.members.getByDiscordId("1")).ingame_name).toBe("Old");
+    expect(applicant.user.dms[0]).toMatch(/rejected/);
+    expect(interaction.edits).toHaveLength(1);
+  });
+
+  test("refuses approval when the name was taken in the meantime", async () => {
+    const message = await postRequest("NewName");
+    fake.databases.seed("members", {
+      discord_id: "2",
+      ingame_name: "newname",
+      ingame_name_key: "newname",
+    });
+    const interaction = press(message, 0);
+
+    await handleApprovalButton(interaction, context());
+
+    expect((await fake.members.getByDiscordId("1")).ingame_name).toBe("Old");
+    expect(interaction.followUps[0].content).toMatch(/now registered/);
+    expect(interaction.edits).toHaveLength(0);
+  });
+
+  test("a newer request replaces the open one", async () => {
+    const first = await postRequest("FirstName");
+    const second = await postRequest("SecondName");
+
+    expect(first.edits[0].components).toEqual([]);
+    expect(first.edits[0].embeds[0].toJSON().fields.at(-1).value).toBe(
+      'Superseded by a request for "SecondName"'
+    );
+
+    const stale = press(first, 0);
+    await handleApprovalButton(stale, context());
+    expect(stale.replies[0].content).toMatch(/newer request/);
+    expect((await fake.members.getByDiscordId("1")).ingame_name).toBe("Old");
+
+    await handleApprovalButton(press(second, 0), context());
+    expect((await fake.members.getByDiscordId("1")).ingame_name).toBe(
+      "SecondName"
+    );
+  });
+
+  test("only officers can review requests", async () => {
+    const interaction = press(await postRequest("NewName"), 0, applicant);
+
+    await handleApprovalButton(interaction, context());
+
+    expect(interaction.replies[0].content).toMatch(/Only officers/);
+    expect((await fake.members.getByDiscordId("1")).ingame_name).toBe("Old");
+  });
+});
@@ -0,0 +1,126 @@
+import { beforeEach, describe, expect, test } from "bun:test";
+import { MemberHistory } from "../src/utils/memberHistory.js";
+import {
+  BatchUpdateManager,
+  documentCache,
+} from "../src/utils/appwriteHelpers.js";
+import { createFakeMembers } from "./fakes/appwrite.js";
+
+describe("MemberHistory", () => {
+  let fake;
+
+  beforeEach(() => {
+    documentCache.clear();
+    fake = createFakeMembers();
+  });
+
+  test("diffs only tracked fields that changed", () => {
+    const changes = fake.history.diff(
+      { guild: "Guild One", class: "Tank", discord_username: "old" },
+      { guild: "Guild Two", class: "Tank", discord_username: "new" }
+    );
+    expect(changes).toEqual([
+      { field: "guild", old_value: "Guild One", new_value: "Guild Two" },
+    ]);
+  });
+
+  test("records field changes made through the repository", async () => {
+    const doc = await fake.members.create(
+      { discord_id: "1", guild: "Guild One", class: null },
+      { source: "member_join" }
+    );
+    await fake.members.patch(
+      doc.$id,
+      { class: "Healer", guild: "Guild One" },
+      { previous: doc, source: "weapon_role_update" }
+    );
+
+    const { documents, total } = await fake.history.listForMember("1");
+    expect(total).toBe(2);
+    expect(documents[0]).toMatchObject({
+      field: "class",
+      old_value: null,
+      new_value: "Healer",
+      source: "weapon_role_update",
+    });
+    expect(documents[1]).toMatchObject({
+      field: "guild",
+      new_value: "Guild One",
+      source: "member_join",
+    });
+  });
+
+  test("looks up the previous record when the caller does not pass it", async () => {
+    const doc = fake.databases.seed("members", {
+      discord_id: "1",
+      guild: "Guild One",
+    });
+
+    await fake.members.clearGuildFields(doc.$id, { source: "member_remove" });
+
+    const { documents } = await fake.history.listForMember("1");
+    expect(documents).toHaveLength(1);
+    expect(documents[0]).toMatchObject({
+      field: "guild",
+      old_value: "Guild One",
+      new_value: null,
+      source: "member_remove",
+    });
+  });
+
+  test("writes without a source are not recorded", async () => {
+    const doc = await fake.members.create({ discord_id: "1", guild: "G" });
+    await fake.members.patch(doc.$id, { guild: "H" });
+    expect((await fake.history.listForMember("1")).total).toBe(0);
+  });
+
+  test("records the event that queued a batched update", async () => {
+    fake.databases.seed("members", { discord_id: "1", guild: "Guild One" });
+    const manager = new BatchUpdateManager(fake.members, {
+      retryOptions: { initialDelay: 1 },
+    });
+
+    manager.queueUpdate("1", { guild: "Guild Two" }, "guild_role_update");
+    clearTimeout(manager.batchTimeout);
+    await manager.processBatch();
+
+    const { documents } = await fake.history.listForMember("1");
+    expect(documents[0]).toMatchObject({
+      field: "guild",
+      old_value: "Guild One",
+      new_value: "Guild Two",
+      source: "guild_role_update",
+    });
+  });
+
+  test("finds who used a name most recently by its key", async () => {
+    fake.databases.seed("member_history", {
+      discord_id: "1",
+      field: "ingame_name",
+      old_value: "Hazard",
+      new_value: "Renamed",
+    });
+    fake.databases.seed("member_history", {
+      discord_id: "2",
+      field: "ingame_name",
+      old_value: null,
+      new_value: "hazard",
+    });
+    expect(await fake.history.findIngameNameUser("HAZARD")).toBeNull();
+
+    expect(await fake.history.backfillIngameNameKeys()).toBe(2);
+    expect(await fake.history.backfillIngameNameKeys()).toBe(0);
+    expect(await fake.history.findIngameNameUser("HAZARD")).toBe("2");
+    expect(await fake.history.findIngameNameUser("renamed")).toBe("1");
+  });
+
+  test("is a no-op when no history collection is configured", async () => {
+    const disabled = new MemberHistory(null);
+    expect(disabled.enabled).toBe(false);
+    expect(await disabled.record("1", {}, { guild: "G" }, "test")).toEqual([]);
+    expect(await disabled.listForMember("1")).toEqual({
+      documents: [],
+      total: 0,
+    });
+  });
+});
@@ -0,0 +1,220 @@
+import { beforeEach, describe, expect, test } from "bun:test";
+import {
+  createMemberSync,
+  createSyncSummary,
+  diffMemberRecord,
+} from "../src/utils/memberSync.js";
+import { threadManager } from "../src/utils/threadManager.js";
+import { createFakeMembers } from "./fakes/appwrite.js";
+import { FakeGuild } from "./fakes/discord.js";
+
+describe("member sync", () => {
+  let fake;
+  let guild;
+  let syncMember;
+  let reconcileMember;
+
+  beforeEach(() => {
+    fake = createFakeMembers();
+    guild = new FakeGuild({ id: "server1" });
+    threadManager.activeThreads.clear();
+    threadManager.initialized = true;
+    ({ syncMember, reconcileMember } = createMemberSync({
+      members: fake.members,
+    }));
+  });
+
+  describe("syncMember", () => {
+    test("creates a record for a new member from their roles", async () => {
+      const member = guild.addMember({
+        id: "1",
+        username: "hazard",
+        nickname: "Haz",
+        roles: ["guild-role-1", "weapon-role-1"],
+      });
+
+      const saved = await syncMember(member);
+
+      const doc = await fake.members.getByDiscordId("1");
+      expect(saved.$id).toBe(doc.$id);
+      expect(doc).toMatchObject({
+        discord_id: "1",
+        discord_username: "hazard",
+        discord_nickname: "Haz",
+        guild: "Guild One",
+        class: "Tank",
+        primary_weapon: "Sword and Shield",
+        secondary_weapon: "Greatsword",
+        ingame_name: null,
+        has_thread: false,
+        thread_link: null,
+      });
+    });
+
+    test("updates an existing record and keeps the in-game name", async () => {
+      fake.databases.seed("members", {
+        discord_id: "1",
+        ingame_name: "Hazard",
+        guild: "Guild One",
+      });
+      const member = guild.addMember({
+        id: "1",
+        username: "hazard",
+        roles: ["guild-role-2", "weapon-role-2"],
+      });
+
+      await syncMember(member);
+
+      expect(fake.databases.callsTo("createDocument", "members")).toHaveLength(
+        0
+      );
+      expect(await fake.members.getByDiscordId("1")).toMatchObject({
+        ingame_name: "Hazard",
+        guild: "Guild Two",
+        class: "Healer",
+      });
+    });
+
+    test("keeps stored weapons when the member has no weapon role", async () => {
+      fake.databases.seed("members", {
+        discord_id: "1",
+        class: "Tank",
+        primary_weapon: "Sword and Shield",
+        secondary_weapon: "Greatsword",
+      });
+      const member = guild.addMember({ id: "1", username: "hazard" });
+
+      await syncMember(member);
+
+      expect(await fake.members.getByDiscordId("1")).toMatchObject({
+        guild: null,
+        class: "Tank",
+        primary_weapon: "Sword and Shield",
+      });
+    });
+
+    test("links the member's open review thread", async () => {
+      const channel = guild.addChannel({ id: "tank-channel", name: "tank" });
+      const thread = channel.addThread({ id: "t1", name: "Review [1]" });
+      threadManager.handleThreadCreate(thread);
+      const member = guild.addMember({ id: "1", username: "hazard" });
+
+      await syncMember(member);
+
+      expect(await fake.members.getByDiscordId("1")).toMatchObject({
+        has_thread: true,
+        thread_link: "https://discord.com/channels/server1/t1",
+      });
+    });
+
+    test("logs and swallows storage errors", async () => {
+      fake.databases.failWith("listDocuments", 400);
+      const member = guild.addMember({ id: "1", username: "hazard" });
+
+      await expect(syncMember(member)).resolves.toBeNull();
+      expect(fake.databases.callsTo("createDocument", "members")).toHaveLength(
+        0
+      );
+    });
+  });
+
+  describe("reconcileMember", () => {
+    test("writes only the fields that changed", async () => {
+      const member = guild.addMember({
+        id: "1",
+        username: "hazard",
+        roles: ["guild-role-1", "weapon-role-1"],
+      });
+      const { document } = await reconcileMember(member, "startup_sync");
+
+      const moved = member.withRoles(["guild-role-2", "weapon-role-1"]);
+      const result = await reconcileMember(moved, "daily_sync", document);
+
+      expect(result.outcome).toBe("updated");
+      const updates = fake.databases.callsTo("updateDocument", "members");
+      expect(updates).toHaveLength(1);
+      expect(updates[0].args[3]).toEqual({ guild: "Guild Two" });
+    });
+
+    test("skips the write when nothing changed", async () => {
+      const member = guild.addMember({
+        id: "1",
+        username: "hazard",
+        roles: ["guild-role-1"],
+      });
+      const { document } = await reconcileMember(member, "startup_sync");
+
+      const result = await reconcileMember(member, "daily_sync", document);
+
+      expect(result).toEqual({ document, outcome: "unchanged" });
+      expect(fake.databases.callsTo("updateDocument")).toHaveLength(0);
+    });
+
+    test("counts a new join date as a rejoin", async () => {
+      const member = guild.addMember({
+        id: "1",
+        username: "hazard",
+        joinedAt: new Date("2024-01-01T00:00:00Z"),
+      });
+      const { document } = await reconcileMember(member, "member_join");
+      expect(document).toMatchObject({
+        joined_at: "2024-01-01T00:00:00.000Z",
+        rejoin_count: 0,
+      });
+
+      guild.removeMember("1");
+      const departed = await fake.members.recordDeparture(
+        document.$id,
+        "kicked"
+      );
+      const returned = guild.addMember({
+        id: "1",
+        username: "hazard",
+        joinedAt: new Date("2024-06-01T00:00:00Z"),
+      });
+      await reconcileMember(returned, "member_join", departed);
+
+      expect(await fake.members.getByDiscordId("1")).toMatchObject({
+        joined_at: "2024-06-01T00:00:00.000Z",
+        rejoin_count: 1,
+        left_at: null,
+        departure_reason: null,
+      });
+    });
+
+    test("reports a member who lost their guild as cleared", async () => {
+      const doc = fake.databases.seed("members", {
+        discord_id: "1",
+        guild: "Guild One",
+      });
+      const member = guild.addMember({ id: "1", username: "hazard" });
+
+      expect((await reconcileMember(member, "daily_sync", doc)).outcome).toBe(
+        "cleared"
+      );
+    });
+  });
+
+  describe("diffMemberRecord", () => {
+    test("returns changed fields and fields the record is missing", () => {
+      expect(
+        diffMemberRecord(
+          { guild: "Guild One", class: "Tank" },
+          { guild: "Guild One", class: "Healer", has_thread: false }
+        )
+      ).toEqual({ class: "Healer", has_thread: false });
+    });
+  });
+
+  describe("createSyncSummary", () => {
+    test("counts outcomes", () => {
+      const summary = createSyncSummary();
+      ["created", "updated", "updated", "unchanged"].forEach((outcome) =>
+        summary.add(outcome)
+      );
+      expect(`${summary}`).toBe(
+        "1 created, 2 updated, 1 unchanged, 0 cleared, 0 failed"
+      );
+    });
+  });
+});
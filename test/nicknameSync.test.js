@@ -0,0 +1,120 @@
+import { afterEach, beforeEach, describe, expect, test } from "bun:test";
+import {
+  formatNickname,
+  formatNicknameRevertReport,
+  syncNickname,
+} from "../src/utils/nicknameSync.js";
+import { createFakeMembers } from "./fakes/appwrite.js";
+import { FakeGuild } from "./fakes/discord.js";
+
+afterEach(() => {
+  delete process.env.NICKNAME_GUILD_TAG;
+});
+
+describe("formatNickname", () => {
+  test("uses the in-game name on its own by default", () => {
+    expect(formatNickname("Hazard", "Guild One")).toBe("Hazard");
+    expect(formatNickname(null, "Guild One")).toBeNull();
+  });
+
+  test("prefixes the guild tag, falling back to the guild name", () => {
+    process.env.NICKNAME_GUILD_TAG = "true";
+    expect(formatNickname("Hazard", "Guild One")).toBe("[G1] Hazard");
+    expect(formatNickname("Hazard", "Guild Two")).toBe("[Guild Two] Hazard");
+    expect(formatNickname("Hazard", null)).toBe("Hazard");
+  });
+
+  test("drops the tag when the nickname would be too long", () => {
+    process.env.NICKNAME_GUILD_TAG = "true";
+    const guildName = "A Guild With A Long Name";
+    expect(formatNickname("a".repeat(16), guildName)).toBe("a".repeat(16));
+  });
+});
+
+describe("syncNickname", () => {
+  let fake;
+  let guild;
+
+  beforeEach(() => {
+    fake = createFakeMembers();
+    guild = new FakeGuild();
+  });
+
+  function seed(fields) {
+    return fake.databases.seed("members", {
+      discord_id: "1",
+      ingame_name: "Hazard",
+      ...fields,
+    });
+  }
+
+  test("sets the nickname and remembers it", async () => {
+    const doc = seed();
+    const member = guild.addMember({ id: "1", username: "hazard" });
+
+    const result = await syncNickname(member, doc, fake.members);
+
+    expect(result).toMatchObject({ status: "updated", reverted: false });
+    expect(member.nickname).toBe("Hazard");
+    expect((await fake.members.getByDiscordId("1")).synced_nickname).toBe(
+      "Hazard"
+    );
+  });
+
+  test("reports a member who changed a synced nickname back", async () => {
+    const doc = seed({ synced_nickname: "Hazard" });
+    const member = guild.addMember({
+      id: "1",
+      username: "hazard",
+      nickname: "NotHazard",
+    });
+
+    const result = await syncNickname(member, doc, fake.members);
+
+    expect(result).toEqual({
+      status: "updated",
+      reverted: true,
+      previousNickname: "NotHazard",
+    });
+    expect(
+      formatNicknameRevertReport([{ member, ...result }]).content
+    ).toContain("<@1>: had changed it to **NotHazard**");
+  });
+
+  test("leaves members above the bot alone", async () => {
+    const doc = seed();
+    const member = guild.addMember({
+      id: "1",
+      username: "hazard",
+      manageable: false,
+    });
+
+    expect((await syncNickname(member, doc, fake.members)).status).toBe(
+      "skipped"
+    );
+    expect(member.nickname).toBeNull();
+  });
+
+  test("handles a missing Manage Nicknames permission", async () => {
+    const doc = seed();
+    const member = guild.addMember({ id: "1", username: "hazard" });
+    member.nicknameError = Object.assign(new Error("Missing Permissions"), {
+      code: 50013,
+    });
+
+    expect((await syncNickname(member, doc, fake.members)).status).toBe(
+      "failed"
+    );
+    expect(
+      (await fake.members.getByDiscordId("1")).synced_nickname
+    ).toBeUndefined();
+  });
+
+  test("skips members without an in-game name", async () => {
+    const doc = seed({ ingame_name: null });
+    const member = guild.addMember({ id: "1", username: "hazard" });
+    expect((await syncNickname(member, doc, fake.members)).status).toBe(
+      "skipped"
+    );
+  });
+});
@@ -0,0 +1,307 @@
+import { afterEach, beforeEach, describe, expect, test } from "bun:test";
+import { PermissionFlagsBits } from "discord.js";
+import {
+  createReconciler,
+  formatPlan,
+  getReconcileMode,
+  handleApplyPlanButton,
+  isApplyPlanButton,
+} from "../src/utils/reconciliation.js";
+import { threadManager } from "../src/utils/threadManager.js";
+import { createFakeMembers } from "./fakes/appwrite.js";
+import { FakeClient, FakeGuild, FakeInteraction } from "./fakes/discord.js";
+
+describe("reconciliation", () => {
+  let fake;
+  let guild;
+  let client;
+  let reconciler;
+
+  beforeEach(() => {
+    process.env.OFFICER_CHANNEL_ID = "officers";
+    fake = createFakeMembers();
+    guild = new FakeGuild({ id: "server1" });
+    client = new FakeClient([guild]);
+    threadManager.activeThreads.clear();
+    threadManager.initialized = true;
+    reconciler = createReconciler({ client, members: fake.members });
+  });
+
+  afterEach(() => {
+    delete process.env.OFFICER_CHANNEL_ID;
+    delete process.env.RECONCILE_MODE;
+  });
+
+  function updates() {
+    return fake.databases.callsTo("updateDocument", "members");
+  }
+
+  function creates() {
+    return fake.databases.callsTo("createDocument", "members");
+  }
+
+  describe("buildPlan", () => {
+    test("sorts members into creates, updates, unchanged and clears", async () => {
+      guild.addMember({
+        id: "1",
+        username: "steady",
+        roles: ["guild-role-1", "weapon-role-1"],
+      });
+      await reconciler.reconcile({ source: "test", mode: "apply" });
+
+      guild.addMember({ id: "2", username: "newcomer" });
+      guild.addMember({
+        id: "3",
+        username: "mover",
+        roles: ["guild-role-2"],
+      });
+      fake.databases.seed("members", {
+        discord_id: "3",
+        discord_username: "mover",
+        guild: "Guild One",
+      });
+      fake.databases.seed("members", {
+        discord_id: "4",
+        discord_username: "departed",
+        guild: "Guild Two",
+      });
+
+      const plan = await reconciler.buildPlan();
+
+      expect(plan.unchanged.map((change) => change.member.id)).toEqual(["1"]);
+      const byId = Object.fromEntries(
+        plan.changes.map((change) => [change.member.id, change])
+      );
+      expect(byId["2"].type).toBe("create");
+      expect(byId["3"].type).toBe("update");
+      expect(byId["3"].changes.guild).toBe("Guild Two");
+      expect(plan.clears.map((doc) => doc.discord_id)).toEqual(["4"]);
+    });
+
+    test("only looks for departed members when departedOnly is set", async () => {
+      guild.addMember({ id: "1", username: "newcomer" });
+      fake.databases.seed("members", { discord_id: "2", guild: "Guild One" });
+
+      const plan = await reconciler.buildPlan({ departedOnly: true });
+
+      expect(plan.changes).toEqual([]);
+      expect(plan.clears.map((doc) => doc.discord_id)).toEqual(["2"]);
+    });
+  });
+
+  describe("reconcile", () => {
+    test("writes only changed records and clears departed members in apply mode", async () => {
+      guild.addMember({
+        id: "1",
+        username: "steady",
+        roles: ["guild-role-1", "weapon-role-1"],
+      });
+      await reconciler.reconcile({ source: "test", mode: "apply" });
+      fake.databases.calls.length = 0;
+
+      guild.addMember({ id: "2", username: "newcomer" });
+      const departed = fake.databases.seed("members", {
+        discord_id: "3",
+        discord_username: "departed",
+        guild: "Guild Two",
+        class: "Tank",
+        ingame_name: "Gone",
+      });
+
+      const result = await reconciler.reconcile({
+        source: "test",
+        mode: "apply",
+      });
+
+      expect(result.applied).toBe(true);
+      expect(`${result.summary}`).toBe(
+        "1 created, 0 updated, 1 unchanged, 1 cleared, 0 failed"
+      );
+      expect(creates()).toHaveLength(1);
+      expect(updates().map((call) => call.args[2])).toEqual([departed.$id]);
+      expect(await fake.members.getByDiscordId("3")).toMatchObject({
+        guild: null,
+        class: null,
+        ingame_name: "Gone",
+        last_guild: "Guild Two",
+        departure_reason: "left",
+        left_at: expect.any(String),
+      });
+      expect(result.documents.get("1").guild).toBe("Guild One");
+    });
+
+    test("records bans found while clearing departed members", async () => {
+      fake.databases.seed("members", { discord_id: "2", guild: "Guild One" });
+      guild.addBan("2");
+
+      await reconciler.reconcile({ source: "audit", mode: "apply" });
+
+      expect((await fake.members.getByDiscordId("2")).departure_reason).toBe(
+        "banned"
+      );
+    });
+
+    test("writes nothing in dry-run mode", async () => {
+      guild.addMember({ id: "1", username: "newcomer" });
+      fake.databases.seed("members", { discord_id: "2", guild: "Guild One" });
+
+      const result = await reconciler.reconcile({
+        source: "test",
+        mode: "dry-run",
+      });
+
+      expect(result.applied).toBe(false);
+      expect(result.plan.changes).toHaveLength(1);
+      expect(creates()).toHaveLength(0);
+      expect(updates()).toHaveLength(0);
+    });
+
+    test("posts the plan to officers with an apply button in review mode", async () => {
+      const officers = guild.addChannel({ id: "officers", name: "officers" });
+      guild.addMember({ id: "1", username: "newcomer" });
+
+      const result = await reconciler.reconcile({
+        source: "test",
+        mode: "review",
+      });
+
+      expect(result.applied).toBe(false);
+      expect(creates()).toHaveLength(0);
+      expect(officers.sent).toHaveLength(1);
+      expect(officers.sent[0].content).toContain("+ newcomer (1): new record");
+      const button = officers.sent[0].components[0].toJSON().components[0];
+      expect(button.custom_id).toBe("reconcileApply");
+    });
+
+    test("does not post an empty plan for review", async () => {
+      const officers = guild.addChannel({ id: "officers", name: "officers" });
+
+      await reconciler.reconcile({ source: "test", mode: "review" });
+
+      expect(officers.sent).toHaveLength(0);
+    });
+  });
+
+  describe("formatPlan", () => {
+    test("cuts long plans short", () => {
+      const clears = Array.from({ length: 50 }, (_, i) => ({
+        discord_id: `${i}`,
+        discord_username: `departed${i}`,
+        guild: "Guild One",
+      }));
+
+      const text = formatPlan({ changes: [], clears }, 500);
+
+      expect(text.length).toBeLessThanOrEqual(500);
+      expect(text).toMatch(/…and \d+ more$/);
+    });
+  });
+
+  test("getReconcileMode falls back to dry-run for unknown modes", () => {
+    expect(getReconcileMode()).toBe("apply");
+    process.env.RECONCILE_MODE = "review";
+    expect(getReconcileMode()).toBe("review");
+    process.env.RECONCILE_MODE = "yolo";
+    expect(getReconcileMode()).toBe("dry-run");
+  });
+
+  describe("handleApplyPlanButton", () => {
+    let officers;
+    let officer;
+    let runs;
+
+    beforeEach(() => {
+      officers = guild.addChannel({ id: "officers", name: "officers" });
+      officer = guild.addMember({
+        id: "10",
+        username: "officer",
+        permissions: [PermissionFlagsBits.ManageRoles],
+      });
+      runs = [];
+    });
+
+    async function postPlan() {
+      await reconciler.reconcile({ source: "test", mode: "review" });
+      return officers.sent.at(-1);
+    }
+
+    function press(member, message) {
+      return new FakeInteraction({
+        client,
+        guild,
+        member,
+        customId: "reconcileApply",
+        message,
+      });
+    }
+
+    const context = () => ({
+      reconciler,
+      run: async (options) => {
+        runs.push(options);
+        return reconciler.reconcile({ source: "test", ...options });
+      },
+    });
+
+    test("recognizes apply buttons", () => {
+      expect(isApplyPlanButton("reconcileApply")).toBe(true);
+      expect(isApplyPlanButton("reconcileApply:departed")).toBe(true);
+      expect(isApplyPlanButton("ingameNameApprove:1")).toBe(false);
+    });
+
+    test("applies the reviewed plan when nothing changed since", async () => {
+      guild.addMember({ id: "1", username: "newcomer" });
+      const message = await postPlan();
+      const interaction = press(officer, message);
+
+      await handleApplyPlanButton(interaction, context());
+
+      expect(runs).toHaveLength(1);
+      expect(
+        runs[0].plan.changes.map((change) => change.member.id).sort()
+      ).toEqual(["1", "10"]);
+      expect(await fake.members.getByDiscordId("1")).not.toBeNull();
+      expect(interaction.edits[0].components).toEqual([]);
+      expect(interaction.edits[0].content).toContain("✅ Applied by <@10>");
+    });
+
+    test("posts an updated plan instead when members changed", async () => {
+      guild.addMember({ id: "1", username: "newcomer" });
+      const message = await postPlan();
+      guild.addMember({ id: "2", username: "latecomer" });
+      const interaction = press(officer, message);
+
+      await handleApplyPlanButton(interaction, context());
+
+      expect(runs).toEqual([]);
+      expect(creates()).toHaveLength(0);
+      expect(officers.sent).toHaveLength(2);
+      expect(officers.sent[1].content).toContain("+ latecomer (2)");
+      expect(interaction.edits[0].content).toContain(
+        "An updated plan was posted for review"
+      );
+    });
+
+    test("applies each posted plan at most once", async () => {
+      guild.addMember({ id: "1", username: "newcomer" });
+      const message = await postPlan();
+      await handleApplyPlanButton(press(officer, message), context());
+      const again = press(officer, message);
+
+      await handleApplyPlanButton(again, context());
+
+      expect(runs).toHaveLength(1);
+      expect(again.edits[0].content).toContain("out of date");
+    });
+
+    test("refuses members who are not officers", async () => {
+      const member = guild.addMember({ id: "1", username: "member" });
+      const interaction = press(member, await postPlan());
+
+      await handleApplyPlanButton(interaction, context());
+
+      expect(runs).toEqual([]);
+      expect(interaction.replies[0].content).toContain("Only officers");
+    });
+  });
+});
@@ -0,0 +1,109 @@
+import { afterEach, beforeEach, describe, expect, test } from "bun:test";
+import {
+  formatRoleConflictReport,
+  getRoleConflicts,
+  reportRoleConflicts,
+} from "../src/utils/roleConflicts.js";
+import { forgetAddedRoles, recordAddedRoles } from "../src/utils/roleWinner.js";
+import { getGuildFromRoles } from "../src/constants/guilds.js";
+import { FakeClient, FakeGuild } from "./fakes/discord.js";
+
+describe("role conflicts", () => {
+  let guild;
+
+  beforeEach(() => {
+    guild = new FakeGuild();
+  });
+
+  afterEach(() => {
+    delete process.env.ROLE_CONFLICT_WINNER;
+    delete process.env.OFFICER_CHANNEL_ID;
+    forgetAddedRoles("1");
+  });
+
+  test("finds nothing for a member with one role of each kind", () => {
+    const member = guild.addMember({
+      id: "1",
+      username: "hazard",
+      roles: ["guild-role-1", "weapon-role-1"],
+    });
+    expect(getRoleConflicts(member)).toBeNull();
+  });
+
+  test("lists both guilds and weapon combos a member holds", () => {
+    const member = guild.addMember({
+      id: "1",
+      username: "hazard",
+      roles: ["guild-role-1", "guild-role-2", "weapon-role-1", "weapon-role-2"],
+    });
+    expect(getRoleConflicts(member)).toEqual({
+      guilds: ["Guild One", "Guild Two"],
+      weapons: ["Sword and Shield/Greatsword", "Wand/Staff"],
+      guild: "Guild One",
+      weapon: "Sword and Shield/Greatsword",
+    });
+  });
+
+  test("the highest rule picks the role highest in the role list", () => {
+    process.env.ROLE_CONFLICT_WINNER = "highest";
+    const member = guild.addMember({
+      id: "1",
+      username: "hazard",
+      roles: [
+        { id: "guild-role-1", position: 1 },
+        { id: "guild-role-2", position: 5 },
+      ],
+    });
+    expect(getGuildFromRoles(member)).toBe("Guild Two");
+  });
+
+  test("the latest rule picks the most recently added role", () => {
+    process.env.ROLE_CONFLICT_WINNER = "latest";
+    const before = guild.addMember({
+      id: "1",
+      username: "hazard",
+      roles: ["guild-role-2"],
+    });
+    const after = before.withRoles(["guild-role-1", "guild-role-2"]);
+
+    recordAddedRoles(before, after);
+
+    expect(getGuildFromRoles(after)).toBe("Guild One");
+  });
+
+  test("posts a summary to the officer channel", async () => {
+    process.env.OFFICER_CHANNEL_ID = "officers";
+    const channel = guild.addChannel({ id: "officers", name: "officers" });
+    const client = new FakeClient([guild]);
+    const member = guild.addMember({
+      id: "1",
+      username: "hazard",
+      roles: ["guild-role-1", "guild-role-2"],
+    });
+
+    await reportRoleConflicts(client, [
+      { member, conflicts: getRoleConflicts(member) },
+    ]);
+
+    expect(channel.sent).toHaveLength(1);
+    expect(channel.sent[0].content).toContain(
+      "<@1>: hazard (1) holds guilds Guild One, Guild Two (using Guild One)"
+    );
+  });
+
+  test("keeps long reports under Discord's message limit", () => {
+    const member = guild.addMember({
+      id: "1",
+      username: "hazard",
+      roles: ["guild-role-1", "guild-role-2"],
+    });
+    const entries = Array.from({ length: 100 }, () => ({
+      member,
+      conflicts: getRoleConflicts(member),
+    }));
+
+    const { content } = formatRoleConflictReport(entries);
+    expect(content.length).toBeLessThanOrEqual(2000);
+    expect(content).toMatch(/…and \d+ more$/);
+  });
+});
@@ -0,0 +1,159 @@
+import { afterEach, beforeEach, describe, expect, test } from "bun:test";
+import { PermissionFlagsBits } from "discord.js";
+import { createMemberSync } from "../src/utils/memberSync.js";
+import {
+  getRestorableRoles,
+  handleRestoreButton,
+  isRestoreButton,
+  offerRoleRestore,
+  restoreRoles,
+} from "../src/utils/roleRestore.js";
+import { threadManager } from "../src/utils/threadManager.js";
+import { createFakeMembers } from "./fakes/appwrite.js";
+import { FakeClient, FakeGuild, FakeInteraction } from "./fakes/discord.js";
+
+describe("role restore", () => {
+  let fake;
+  let guild;
+  let client;
+  let officerChannel;
+  let officer;
+  let context;
+
+  beforeEach(() => {
+    process.env.OFFICER_CHANNEL_ID = "officers";
+    fake = createFakeMembers();
+    guild = new FakeGuild();
+    client = new FakeClient([guild]);
+    officerChannel = guild.addChannel({ id: "officers", name: "officers" });
+    officer = guild.addMember({
+      id: "10",
+      username: "officer",
+      permissions: [PermissionFlagsBits.ManageRoles],
+    });
+    threadManager.activeThreads.clear();
+    threadManager.initialized = true;
+    const { syncMember } = createMemberSync({ members: fake.members });
+    context = { members: fake.members, syncMember };
+  });
+
+  afterEach(() => {
+    delete process.env.OFFICER_CHANNEL_ID;
+  });
+
+  // A record for someone who left while in Guild One as a tank
+  async function seedDeparted() {
+    const doc = fake.databases.seed("members", {
+      discord_id: "1",
+      discord_username: "returning",
+      guild: "Guild One",
+      class: "Tank",
+      primary_weapon: "Sword and Shield",
+      secondary_weapon: "Greatsword",
+    });
+    await fake.members.clearGuildFields(doc.$id);
+    return fake.members.getByDiscordId("1");
+  }
+
+  async function postOffer(user) {
+    const doc = await fake.members.getByDiscordId("1");
+    return offerRoleRestore(client, user, doc, "rejoined the server");
+  }
+
+  function press(message, member = officer) {
+    const button = message.components[0].toJSON().components[0];
+    return new FakeInteraction({
+      client,
+      guild,
+      member,
+      customId: button.custom_id,
+      message: { embeds: message.embeds.map((embed) => embed.toJSON()) },
+    });
+  }
+
+  test("maps the last known guild and weapons back to roles", async () => {
+    const doc = await seedDeparted();
+
+    expect(getRestorableRoles(doc)).toEqual({
+      guildRoleId: "guild-role-1",
+      weaponRoleId: "weapon-role-1",
+      guild: "Guild One",
+      weapon: "Sword and Shield/Greatsword",
+    });
+    expect(getRestorableRoles({ last_guild: "Disbanded Guild" })).toBeNull();
+    expect(getRestorableRoles({ guild: null })).toBeNull();
+  });
+
+  test("offers officers a restore button", async () => {
+    await seedDeparted();
+    const member = guild.addMember({ id: "1", username: "returning" });
+
+    const message = await postOffer(member.user);
+
+    expect(officerChannel.sent).toHaveLength(1);
+    const button = message.components[0].toJSON().components[0];
+    expect(button.custom_id).toBe("restoreRoles:1");
+    expect(isRestoreButton(button.custom_id)).toBe(true);
+    expect(message.embeds[0].toJSON().fields[0].value).toBe("Guild One");
+  });
+
+  test("does not offer anything without a last known guild", async () => {
+    fake.databases.seed("members", { discord_id: "1", guild: null });
+    const member = guild.addMember({ id: "1", username: "newcomer" });
+
+    expect(await postOffer(member.user)).toBeNull();
+    expect(officerChannel.sent).toHaveLength(0);
+  });
+
+  test("restores roles and the record when an officer presses it", async () => {
+    await seedDeparted();
+    const member = guild.addMember({ id: "1", username: "returning" });
+    const interaction = press(await postOffer(member.user));
+
+    await handleRestoreButton(interaction, context);
+
+    expect(Array.from(member.roles.cache.keys()).sort()).toEqual([
+      "guild-role-1",
+      "weapon-role-1",
+    ]);
+    expect(await fake.members.getByDiscordId("1")).toMatchObject({
+      guild: "Guild One",
+      class: "Tank",
+    });
+    expect(interaction.edits[0].components).toEqual([]);
+    expect(interaction.edits[0].embeds[0].toJSON().fields.at(-1).value).toMatch(
+      /restored Guild One/
+    );
+  });
+
+  test("restores on rejoin when approved while the member was away", async () => {
+    await seedDeparted();
+    const member = guild.addMember({ id: "1", username: "returning" });
+    const message = await postOffer(member.user);
+    guild.removeMember("1");
+
+    await handleRestoreButton(press(message), context);
+    const doc = await fake.members.getByDiscordId("1");
+    expect(doc.restore_on_rejoin).toBe(true);
+
+    const rejoined = guild.addMember({ id: "1", username: "returning" });
+    await restoreRoles(rejoined, doc, context);
+
+    expect(rejoined.roles.cache.has("guild-role-1")).toBe(true);
+    expect(await fake.members.getByDiscordId("1")).toMatchObject({
+      guild: "Guild One",
+      restore_on_rejoin: false,
+    });
+  });
+
+  test("only officers can restore roles", async () => {
+    await seedDeparted();
+    const member = guild.addMember({ id: "1", username: "returning" });
+    const interaction = press(await postOffer(member.user), member);
+
+    await handleRestoreButton(interaction, context);
+
+    expect(interaction.replies[0].content).toMatch(/Only officers/);
+    expect(member.roles.cache.size).toBe(0);
+  });
+});
@@ -0,0 +1,143 @@
+import { beforeEach, describe, expect, test } from "bun:test";
+import {
+  handleRosterButton,
+  isRosterButton,
+  rosterCommand,
+  rosterToCsv,
+} from "../src/commands/roster.js";
+import { createFakeMembers } from "./fakes/appwrite.js";
+import { FakeClient, FakeGuild, FakeInteraction } from "./fakes/discord.js";
+
+describe("/roster", () => {
+  let fake;
+  let guild;
+  let client;
+  let officer;
+
+  beforeEach(() => {
+    fake = createFakeMembers();
+    guild = new FakeGuild();
+    client = new FakeClient([guild]);
+    officer = guild.addMember({ id: "10", username: "officer" });
+  });
+
+  function seed(count, fields) {
+    for (let i = 0; i < count; i++) {
+      fake.databases.seed("members", {
+        discord_id: `${fields.guild}-${i}`,
+        discord_username: `member${i}`,
+        ingame_name: `Name${String(i).padStart(2, "0")}`,
+        has_thread: false,
+        ...fields,
+      });
+    }
+  }
+
+  let nextInteractionId = 1;
+  function interaction({ strings = {}, booleans = {}, customId } = {}) {
+    const result = new FakeInteraction({
+      client,
+      guild,
+      member: officer,
+      customId,
+      options: {
+        getString: (name) => strings[name] ?? null,
+        getBoolean: (name) => booleans[name] ?? null,
+      },
+    });
+    result.id = `interaction${nextInteractionId++}`;
+    return result;
+  }
+
+  async function runRoster(options) {
+    const command = interaction(options);
+    await rosterCommand.execute(command, { members: fake.members });
+    expect(command.deferred).toBe(true);
+    return command.edits[0];
+  }
+
+  function buttons(message) {
+    return message.components[0].toJSON().components;
+  }
+
+  test("filters by guild and class", async () => {
+    seed(2, { guild: "Guild One", class: "Tank" });
+    seed(1, { guild: "Guild One", class: "Healer" });
+    seed(3, { guild: "Guild Two", class: "Tank" });
+
+    const reply = await runRoster({
+      strings: { guild: "Guild One", class: "Tank" },
+    });
+
+    const embed = reply.embeds[0].toJSON();
+    expect(embed.title).toBe("Roster: Guild One · Tank");
+    expect(embed.description.split("\n")).toHaveLength(2);
+    expect(embed.footer.text).toBe("2 members · Page 1 of 1");
+  });
+
+  test("finds members missing an in-game name", async () => {
+    seed(2, { guild: "Guild One" });
+    seed(1, { guild: "Guild Two", ingame_name: null });
+
+    const reply = await runRoster({ booleans: { missing_ingame_name: true } });
+
+    expect(reply.embeds[0].toJSON().description).toBe(
+      "*no in-game name* <@Guild Two-0> — Guild Two"
+    );
+  });
+
+  test("leaves out departed members unless asked", async () => {
+    seed(2, { guild: "Guild One" });
+    seed(1, { guild: null, left_at: "2024-01-01T00:00:00.000Z" });
+
+    const current = await runRoster();
+    const all = await runRoster({ booleans: { include_departed: true } });
+
+    expect(current.embeds[0].toJSON().footer.text).toStartWith("2 members");
+    expect(all.embeds[0].toJSON().title).toBe("Roster: including departed");
+    expect(all.embeds[0].toJSON().footer.text).toStartWith("3 members");
+  });
+
+  test("pages through long rosters with buttons", async () => {
+    seed(45, { guild: "Guild One" });
+    const reply = await runRoster();
+    const [previous, next] = buttons(reply);
+    expect(previous.disabled).toBe(true);
+    expect(isRosterButton(next.custom_id)).toBe(true);
+
+    const press = interaction({ customId: next.custom_id });
+    await handleRosterButton(press, { members: fake.members });
+
+    const page = press.edits[0].embeds[0].toJSON();
+    expect(page.footer.text).toBe("45 members · Page 2 of 3");
+    expect(page.description).toStartWith("**Name20**");
+  });
+
+  test("downloads the full roster as CSV", async () => {
+    seed(30, { guild: "Guild One" });
+    const reply = await runRoster();
+
+    const press = interaction({ customId: buttons(reply)[2].custom_id });
+    await handleRosterButton(press, { members: fake.members });
+
+    const [file] = press.edits[0].files;
+    expect(file.name).toBe("roster.csv");
+    expect(file.attachment.toString().split("\n")).toHaveLength(31);
+  });
+
+  test("tells the officer when the roster has expired", async () => {
+    const press = interaction({ customId: "roster:page:unknown:1" });
+
+    await handleRosterButton(press, { members: fake.members });
+
+    expect(press.replies[0].content).toMatch(/expired/);
+  });
+
+  test("escapes CSV values", () => {
+    const csv = rosterToCsv([
+      { discord_id: "1", ingame_name: 'Say "hi", all', guild: "=cmd()" },
+    ]);
+
+    expect(csv.split("\n")[1]).toBe(`1,,"Say ""hi"", all",'=cmd(),,,,,`);
+  });
+});
@@ -0,0 +1,180 @@
+import { afterEach, beforeEach, describe, expect, test } from "bun:test";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Scheduler, nextRun, parseCron } from "../src/utils/scheduler.js";
+
+function at(iso) {
+  return new Date(iso);
+}
+
+describe("parseCron", () => {
+  test("expands lists, ranges and steps", () => {
+    const schedule = parseCron("0,30 9-17/4 * * 1-5");
+    expect([...schedule.minutes]).toEqual([0, 30]);
+    expect([...schedule.hours]).toEqual([9, 13, 17]);
+    expect([...schedule.weekdays]).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  test("accepts aliases and 7 for Sunday", () => {
+    expect([...parseCron("@daily").hours]).toEqual([0]);
+    expect([...parseCron("0 0 * * 7").weekdays]).toEqual([0]);
+  });
+
+  test("rejects malformed expressions", () => {
+    expect(() => parseCron("0 0 * *")).toThrow(/expected 5 fields/);
+    expect(() => parseCron("60 0 * * *")).toThrow(/Invalid minute/);
+    expect(() => parseCron("0 0 * * mon")).toThrow(/Invalid day of week/);
+  });
+});
+
+describe("nextRun", () => {
+  test("finds the next matching minute after the given time", () => {
+    const daily = parseCron("5 0 * * *");
+    expect(nextRun(daily, at("2024-01-01T00:04:59Z"))).toEqual(
+      at("2024-01-01T00:05:00Z")
+    );
+    expect(nextRun(daily, at("2024-01-01T00:05:00Z"))).toEqual(
+      at("2024-01-02T00:05:00Z")
+    );
+  });
+
+  test("matches either day field when both are restricted", () => {
+    // The 15th of the month or any Monday
+    const schedule = parseCron("0 12 15 * 1");
+    expect(nextRun(schedule, at("2024-01-09T00:00:00Z"))).toEqual(
+      at("2024-01-15T12:00:00Z")
+    );
+    expect(nextRun(schedule, at("2024-01-16T00:00:00Z"))).toEqual(
+      at("2024-01-22T12:00:00Z")
+    );
+  });
+
+  test("handles leap days", () => {
+    expect(
+      nextRun(parseCron("0 0 29 2 *"), at("2024-03-01T00:00:00Z"))
+    ).toEqual(at("2028-02-29T00:00:00Z"));
+  });
+});
+
+describe("Scheduler", () => {
+  let dir;
+  let statePath;
+  let scheduler;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "scheduler-"));
+    statePath = path.join(dir, "scheduler.json");
+    scheduler = new Scheduler({ statePath });
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("runs due jobs once per scheduled time and saves the run", async () => {
+    let runs = 0;
+    scheduler.addJob("sync", "0 0 * * *", async () => runs++);
+    await scheduler.start(at("2024-01-01T23:59:30Z"));
+
+    await scheduler.tick(at("2024-01-01T23:59:59Z"));
+    await scheduler.tick(at("2024-01-02T00:00:10Z"));
+    await scheduler.tick(at("2024-01-02T00:00:40Z"));
+
+    expect(runs).toBe(1);
+    const state = JSON.parse(fs.readFileSync(statePath, "utf8"));
+    expect(state.sync.lastRunAt).toBeString();
+    expect(state.sync.lastError).toBeNull();
+  });
+
+  test("catches up a run missed while the bot was down", async () => {
+    fs.writeFileSync(
+      statePath,
+      JSON.stringify({
+        sync: { lastRunAt: "2024-01-01T00:00:05Z" },
+        audit: { lastRunAt: "2024-01-03T00:00:05Z" },
+      })
+    );
+    const ran = [];
+    scheduler.addJob("sync", "0 0 * * *", async () => ran.push("sync"));
+    scheduler.addJob("audit", "0 0 * * *", async () => ran.push("audit"));
+
+    await scheduler.start(at("2024-01-03T08:00:00Z"));
+
+    expect(ran).toEqual(["sync"]);
+  });
+
+  test("catches up missed jobs one at a time in the order they were added", async () => {
+    fs.writeFileSync(
+      statePath,
+      JSON.stringify({
+        audit: { lastRunAt: "2024-01-01T00:00:05Z" },
+        sync: { lastRunAt: "2024-01-01T00:05:05Z" },
+      })
+    );
+    const events = [];
+    const job = (name) => async () => {
+      events.push(`${name} start`);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      events.push(`${name} end`);
+    };
+    scheduler.addJob("audit", "0 0 * * *", job("audit"));
+    scheduler.addJob("sync", "5 0 * * *", job("sync"));
+
+    await scheduler.start(at("2024-01-03T08:00:00Z"));
+
+    expect(events).toEqual([
+      "audit start",
+      "audit end",
+      "sync start",
+      "sync end",
+    ]);
+  });
+
+  test("records jobs covered by a startup run instead of catching them up", async () => {
+    fs.writeFileSync(
+      statePath,
+      JSON.stringify({ sync: { lastRunAt: "2024-01-01T00:00:05Z" } })
+    );
+    let runs = 0;
+    scheduler.addJob("sync", "0 0 * * *", async () => runs++);
+
+    await scheduler.start(at("2024-01-03T08:00:00Z"), { alreadyRun: ["sync"] });
+
+    expect(runs).toBe(0);
+    const state = JSON.parse(fs.readFileSync(statePath, "utf8"));
+    expect(state.sync.lastRunAt).toBe("2024-01-03T08:00:00.000Z");
+  });
+
+  test("does not start a job while its previous run is going", async () => {
+    let finish;
+    let runs = 0;
+    scheduler.addJob("sync", "* * * * *", () => {
+      runs++;
+      return new Promise((resolve) => (finish = resolve));
+    });
+    await scheduler.start(at("2024-01-01T00:00:30Z"));
+
+    const first = scheduler.tick(at("2024-01-01T00:01:00Z"));
+    await scheduler.tick(at("2024-01-01T00:02:00Z"));
+    expect(runs).toBe(1);
+
+    finish();
+    await first;
+    const second = scheduler.tick(at("2024-01-01T00:03:00Z"));
+    expect(runs).toBe(2);
+    finish();
+    await second;
+  });
+
+  test("records a failed run", async () => {
+    scheduler.addJob("sync", "* * * * *", async () => {
+      throw new Error("boom");
+    });
+    await scheduler.start(at("2024-01-01T00:00:30Z"));
+    await scheduler.tick(at("2024-01-01T00:01:00Z"));
+
+    expect(scheduler.state.sync.lastError).toBe("boom");
+  });
+});
@@ -0,0 +1,10 @@
+import path from "path";
+import { loadConfig } from "../src/utils/config.js";
+
+// Shared environment for every test file: fixture config and fake Appwrite IDs
+process.env.CONFIG_PATH = path.join(import.meta.dir, "fixtures", "config.json");
+process.env.SERVER_ID = "server1";
+process.env.APPWRITE_DATABASE_ID = "db";
+process.env.APPWRITE_COLLECTION_ID = "members";
+
+loadConfig();
@@ -0,0 +1,142 @@
+import { afterEach, beforeEach, describe, expect, test } from "bun:test";
+import { openSqliteStorage } from "../src/utils/storage.js";
+import { createMemberRepository } from "../src/utils/memberRepository.js";
+import { createFakeMembers } from "./fakes/appwrite.js";
+
+// Both adapters must behave the same behind the member repository
+const backends = {
+  appwrite: async () => createFakeMembers(),
+  sqlite: async () => {
+    const storage = await openSqliteStorage(":memory:");
+    return { storage, members: createMemberRepository(storage) };
+  },
+};
+
+for (const [name, createBackend] of Object.entries(backends)) {
+  describe(`MemberRepository (${name})`, () => {
+    let storage;
+    let members;
+
+    beforeEach(async () => {
+      ({ storage, members } = await createBackend());
+    });
+
+    afterEach(async () => {
+      await storage.close();
+    });
+
+    test("creates and finds members by discord id", async () => {
+      const created = await members.create({ discord_id: "1", guild: "G" });
+      expect(created.$id).toBeTruthy();
+      expect(await members.getByDiscordId("1")).toMatchObject({
+        $id: created.$id,
+        guild: "G",
+      });
+      expect(await members.getByDiscordId("2")).toBeNull();
+    });
+
+    test("upserts and patches records", async () => {
+      const first = await members.upsert("1", { guild: "G" });
+      expect(first.created).toBe(true);
+      const second = await members.upsert("1", { class: "Tank" });
+      expect(second.created).toBe(false);
+      expect(second.document.$id).toBe(first.document.$id);
+
+      await members.patch(first.document.$id, { guild: null });
+      expect(await members.getByDiscordId("1")).toMatchObject({
+        guild: null,
+        class: "Tank",
+      });
+    });
+
+    test("keeps both of two concurrent patches", async () => {
+      const doc = await members.create({ discord_id: "1", guild: "G" });
+
+      await Promise.all([
+        members.patch(doc.$id, { class: "Tank" }),
+        members.patch(doc.$id, { has_thread: true, guild: null }),
+      ]);
+
+      expect(await members.getByDiscordId("1")).toMatchObject({
+        guild: null,
+        class: "Tank",
+        has_thread: true,
+      });
+    });
+
+    test("filters and pages through records", async () => {
+      for (let i = 0; i < 150; i++) {
+        await members.create({
+          discord_id: String(i),
+          guild: i % 2 === 0 ? "G" : null,
+          has_thread: i < 10,
+        });
+      }
+
+      const page = await members.list({ limit: 20, offset: 140 });
+      expect(page.total).toBe(150);
+      expect(page.documents).toHaveLength(10);
+      expect(await members.listAll()).toHaveLength(150);
+      expect(await members.listAll({ guild: null })).toHaveLength(75);
+      expect(await members.listAll({ has_thread: true })).toHaveLength(10);
+    });
+
+    test("clears guild fields but keeps the in-game name", async () => {
+      const doc = await members.create({
+        discord_id: "1",
+        guild: "G",
+        class: "Tank",
+        primary_weapon: "Wand",
+        secondary_weapon: "Staff",
+        thread_link: "link",
+        ingame_name: "Hazard",
+      });
+
+      await members.clearGuildFields(doc.$id);
+
+      expect(await members.getByDiscordId("1")).toMatchObject({
+        guild: null,
+        class: null,
+        thread_link: null,
+        ingame_name: "Hazard",
+        last_guild: "G",
+        last_primary_weapon: "Wand",
+        last_secondary_weapon: "Staff",
+      });
+    });
+
+    test("keeps the last known guild when cleared again", async () => {
+      const doc = await members.create({ discord_id: "1", guild: "G" });
+
+      await members.clearGuildFields(doc.$id);
+      await members.clearGuildFields(doc.$id);
+
+      expect((await members.getByDiscordId("1")).last_guild).toBe("G");
+    });
+  });
+}
+
+describe("SQLite unique fields", () => {
+  let storage;
+  let members;
+
+  beforeEach(async () => {
+    storage = await openSqliteStorage(":memory:");
+    members = createMemberRepository(storage);
+  });
+
+  afterEach(async () => {
+    await storage.close();
+  });
+
+  test("rejects a second record with the same in-game name key", async () => {
+    await members.create({ discord_id: "1", ingame_name_key: "hazard" });
+    const other = await members.create({ discord_id: "2" });
+    await members.create({ discord_id: "3" });
+
+    await expect(
+      members.patch(other.$id, { ingame_name_key: "hazard" })
+    ).rejects.toMatchObject({ code: 409 });
+    expect(await members.listByIngameNameKey("hazard")).toHaveLength(1);
+  });
+});
@@ -0,0 +1,167 @@
+import { afterEach, beforeEach, describe, expect, test } from "bun:test";
+import { createReconciler } from "../src/utils/reconciliation.js";
+import {
+  buildSyncReportEmbeds,
+  createFailureReport,
+  createReconciliationReport,
+  paginateSections,
+  postSyncReport,
+} from "../src/utils/syncReport.js";
+import { threadManager } from "../src/utils/threadManager.js";
+import { createFakeMembers } from "./fakes/appwrite.js";
+import { FakeClient, FakeGuild } from "./fakes/discord.js";
+
+describe("sync report", () => {
+  let fake;
+  let guild;
+  let client;
+  let reconciler;
+
+  beforeEach(() => {
+    process.env.OFFICER_CHANNEL_ID = "officers";
+    fake = createFakeMembers();
+    guild = new FakeGuild({ id: "server1" });
+    client = new FakeClient([guild]);
+    threadManager.activeThreads.clear();
+    threadManager.initialized = true;
+    reconciler = createReconciler({ client, members: fake.members });
+  });
+
+  afterEach(() => {
+    delete process.env.OFFICER_CHANNEL_ID;
+    delete process.env.SYNC_REPORT_CHANNEL_ID;
+  });
+
+  function section(report, title) {
+    return report.sections.find((s) => s.title.startsWith(title)).lines;
+  }
+
+  describe("paginateSections", () => {
+    test("splits long sections across pages and skips empty ones", () => {
+      const lines = Array.from({ length: 30 }, (_, i) => `line ${i}`);
+
+      const pages = paginateSections(
+        [
+          { title: "Empty", lines: [] },
+          { title: "Lines", lines },
+        ],
+        100
+      );
+
+      expect(pages.length).toBeGreaterThan(1);
+      expect(pages.every((page) => page.length <= 100)).toBe(true);
+      expect(pages[0]).toStartWith("**Lines (30)**");
+      expect(pages.join("\n")).not.toContain("Empty");
+      expect(pages.join("\n").split("\n")).toHaveLength(31);
+    });
+  });
+
+  test("builds one embed per page with the counts on the first", () => {
+    const lines = Array.from({ length: 400 }, (_, i) => `member ${i}: fixed`);
+
+    const embeds = buildSyncReportEmbeds({
+      title: "Sync report: daily_sync",
+      counts: "1 created",
+      sections: [{ title: "Fixed", lines }],
+    }).map((embed) => embed.toJSON());
+
+    expect(embeds.length).toBeGreaterThan(1);
+    expect(embeds[0].fields).toEqual([{ name: "Counts", value: "1 created" }]);
+    expect(embeds[1].fields).toBeUndefined();
+    expect(embeds[1].footer.text).toBe(`Page 2 of ${embeds.length}`);
+  });
+
+  test("says when there is nothing to report", () => {
+    const [embed] = buildSyncReportEmbeds({
+      title: "Sync report: audit",
+      counts: "0 created",
+      sections: [{ title: "Fixed", lines: [] }],
+    });
+
+    expect(embed.toJSON().description).toBe("No problems found.");
+  });
+
+  describe("createReconciliationReport", () => {
+    test("lists fixed members, invalid names, missing roles and errors", async () => {
+      guild.addMember({
+        id: "1",
+        username: "mover",
+        roles: ["guild-role-2", "weapon-role-1"],
+      });
+      guild.addMember({ id: "2", username: "roleless" });
+      fake.databases.seed("members", {
+        discord_id: "1",
+        discord_username: "mover",
+        guild: "Guild One",
+        ingame_name: "has space",
+      });
+      fake.databases.failWith("createDocument", 400);
+
+      const result = await reconciler.reconcile({
+        source: "daily_sync",
+        mode: "apply",
+      });
+      const report = createReconciliationReport("daily_sync", result);
+
+      expect(report.title).toBe("Sync report: daily_sync");
+      expect(report.counts).toBe(`${result.summary}`);
+      expect(section(report, "Fixed")).toEqual([
+        expect.stringContaining("guild Guild One → Guild Two"),
+      ]);
+      expect(section(report, "Invalid in-game names")).toEqual([
+        expect.stringContaining('mover (1): "has space"'),
+      ]);
+      expect(section(report, "Missing guild or weapon role")).toEqual([
+        "roleless (2): no guild role, no weapon role",
+      ]);
+      expect(section(report, "Errors")).toEqual([
+        expect.stringContaining("roleless (2)"),
+      ]);
+    });
+
+    test("lists changes as pending when the plan was not applied", async () => {
+      guild.addMember({ id: "1", username: "newcomer" });
+
+      const result = await reconciler.reconcile({
+        source: "daily_sync",
+        mode: "dry-run",
+      });
+      const report = createReconciliationReport("daily_sync", result);
+
+      expect(section(report, "Pending changes (dry-run)")).toEqual([
+        "+ newcomer (1): new record (none, none)",
+      ]);
+    });
+  });
+
+  test("posts every page to the report channel", async () => {
+    process.env.SYNC_REPORT_CHANNEL_ID = "reports";
+    const reports = guild.addChannel({ id: "reports", name: "reports" });
+    const officers = guild.addChannel({ id: "officers", name: "officers" });
+    const lines = Array.from({ length: 400 }, (_, i) => `member ${i}: fixed`);
+
+    await postSyncReport(client, {
+      title: "Sync report: daily_sync",
+      counts: "400 updated",
+      sections: [{ title: "Fixed", lines }],
+    });
+
+    expect(reports.sent.length).toBeGreaterThan(1);
+    expect(reports.sent.every((message) => message.embeds.length === 1)).toBe(
+      true
+    );
+    expect(officers.sent).toHaveLength(0);
+  });
+
+  test("reports a failed run", async () => {
+    const officers = guild.addChannel({ id: "officers", name: "officers" });
+
+    await postSyncReport(
+      client,
+      createFailureReport("startup_sync", new Error("Appwrite is down"))
+    );
+
+    const [embed] = officers.sent[0].embeds.map((e) => e.toJSON());
+    expect(embed.description).toContain("Appwrite is down");
+  });
+});
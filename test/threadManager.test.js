@@ -0,0 +1,77 @@
+import { beforeEach, describe, expect, test } from "bun:test";
+import { ThreadManager } from "../src/utils/threadManager.js";
+import { FakeGuild } from "./fakes/discord.js";
+
+describe("ThreadManager", () => {
+  let manager;
+  let guild;
+  let tankChannel;
+  let healerChannel;
+
+  beforeEach(() => {
+    manager = new ThreadManager();
+    guild = new FakeGuild();
+    tankChannel = guild.addChannel({ id: "tank-channel", name: "tank" });
+    healerChannel = guild.addChannel({ id: "healer-channel", name: "healer" });
+  });
+
+  test("parses the user id from a review thread name", () => {
+    expect(manager.getUserIdFromThreadName("Review Hazard [1234]")).toBe(
+      "1234"
+    );
+    expect(manager.getUserIdFromThreadName("No id here")).toBeNull();
+    expect(manager.getUserIdFromThreadName(null)).toBeNull();
+  });
+
+  test("recognizes configured review channels", () => {
+    expect(manager.isReviewChannel("tank-channel")).toBe(true);
+    expect(manager.isReviewChannel("general")).toBe(false);
+  });
+
+  test("caches open threads from every review channel", async () => {
+    tankChannel.addThread({ id: "t1", name: "Tank review [1]" });
+    healerChannel.addThread({ id: "t2", name: "Healer review [2]" });
+    healerChannel.addThread({
+      id: "t3",
+      name: "Old review [3]",
+      archived: true,
+    });
+    tankChannel.addThread({ id: "t4", name: "Locked [4]", locked: true });
+
+    await manager.initializeCache(guild);
+
+    expect(manager.initialized).toBe(true);
+    expect(manager.hasActiveThread("1")).toBe(true);
+    expect(manager.getActiveThreadId("2")).toBe("t2");
+    expect(manager.hasActiveThread("3")).toBe(false);
+    expect(manager.hasActiveThread("4")).toBe(false);
+  });
+
+  test("tracks thread create, update and delete events", () => {
+    const thread = tankChannel.addThread({ id: "t1", name: "Review [1]" });
+
+    manager.handleThreadCreate(thread);
+    expect(manager.getActiveThreadId("1")).toBe("t1");
+
+    thread.archived = true;
+    manager.handleThreadUpdate(thread);
+    expect(manager.hasActiveThread("1")).toBe(false);
+
+    thread.archived = false;
+    manager.handleThreadUpdate(thread);
+    expect(manager.hasActiveThread("1")).toBe(true);
+
+    manager.handleThreadDelete(thread);
+    expect(manager.hasActiveThread("1")).toBe(false);
+  });
+
+  test("ignores deletion of a thread that is not the cached one", () => {
+    const current = tankChannel.addThread({ id: "t1", name: "Review [1]" });
+    const stale = tankChannel.addThread({ id: "t0", name: "Review [1]" });
+
+    manager.handleThreadCreate(current);
+    manager.handleThreadDelete(stale);
+
+    expect(manager.getActiveThreadId("1")).toBe("t1");
+  });
+});
@@ -0,0 +1,196 @@
+import { afterEach, beforeEach, describe, expect, test } from "bun:test";
+import { PermissionFlagsBits } from "discord.js";
+import {
+  handleWeaponApprovalButton,
+  handleWeaponPickerSelect,
+  isWeaponApprovalButton,
+  isWeaponPickerSelect,
+  swapWeaponRole,
+} from "../src/utils/weaponPicker.js";
+import { FakeClient, FakeGuild, FakeInteraction } from "./fakes/discord.js";
+
+describe("weapon picker", () => {
+  let guild;
+  let client;
+  let officerChannel;
+  let officer;
+
+  beforeEach(() => {
+    process.env.OFFICER_CHANNEL_ID = "officers";
+    guild = new FakeGuild();
+    client = new FakeClient([guild]);
+    officerChannel = guild.addChannel({ id: "officers", name: "officers" });
+    officer = guild.addMember({
+      id: "10",
+      username: "officer",
+      permissions: [PermissionFlagsBits.ManageRoles],
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.OFFICER_CHANNEL_ID;
+    delete process.env.WEAPON_CHANGE_APPROVAL;
+  });
+
+  function select(member, customId, value) {
+    return new FakeInteraction({
+      client,
+      guild,
+      member,
+      customId,
+      values: [value],
+    });
+  }
+
+  test("recognises its select menus and approval buttons", () => {
+    expect(isWeaponPickerSelect("weaponPickerClass")).toBe(true);
+    expect(isWeaponPickerSelect("weaponPickerCombo")).toBe(true);
+    expect(isWeaponPickerSelect("setIngameName")).toBe(false);
+    expect(isWeaponApprovalButton("weaponChangeApprove:1:weapon-role-2")).toBe(
+      true
+    );
+    expect(isWeaponApprovalButton("weaponChangeReject:1:weapon-role-2")).toBe(
+      true
+    );
+    expect(isWeaponApprovalButton("approveIngameName:1")).toBe(false);
+  });
+
+  test("choosing a class offers that class's weapon combos", async () => {
+    const member = guild.addMember({ id: "1", username: "player" });
+    const interaction = select(member, "weaponPickerClass", "Healer");
+
+    await handleWeaponPickerSelect(interaction);
+
+    const menu = interaction.replies[0].components[0].components[0].toJSON();
+    expect(menu.custom_id).toBe("weaponPickerCombo");
+    expect(menu.options).toEqual([
+      { label: "Wand / Staff", value: "weapon-role-2" },
+    ]);
+  });
+
+  test("swapping replaces the old weapon role", async () => {
+    const member = guild.addMember({
+      id: "1",
+      username: "player",
+      roles: ["guild-role-1", "weapon-role-1"],
+    });
+
+    await swapWeaponRole(member, "weapon-role-2");
+
+    expect([...member.roles.cache.keys()].sort()).toEqual([
+      "guild-role-1",
+      "weapon-role-2",
+    ]);
+  });
+
+  test("choosing a combo swaps the role right away without approval", async () => {
+    const member = guild.addMember({
+      id: "1",
+      username: "player",
+      roles: ["weapon-role-1"],
+    });
+    const interaction = select(member, "weaponPickerCombo", "weapon-role-2");
+
+    await handleWeaponPickerSelect(interaction);
+
+    expect(member.roles.cache.has("weapon-role-2")).toBe(true);
+    expect(member.roles.cache.has("weapon-role-1")).toBe(false);
+    expect(interaction.edits[0].content).toContain("Wand / Staff (Healer)");
+    expect(officerChannel.sent).toHaveLength(0);
+  });
+
+  test("class changes wait for an officer when approval is on", async () => {
+    process.env.WEAPON_CHANGE_APPROVAL = "true";
+    const member = guild.addMember({
+      id: "1",
+      username: "player",
+      roles: ["weapon-role-1"],
+    });
+    const interaction = select(member, "weaponPickerCombo", "weapon-role-2");
+
+    await handleWeaponPickerSelect(interaction);
+
+    expect(member.roles.cache.has("weapon-role-1")).toBe(true);
+    expect(member.roles.cache.has("weapon-role-2")).toBe(false);
+    expect(interaction.edits[0].content).toContain("needs officer approval");
+    const buttons = officerChannel.sent[0].components[0].components.map(
+      (button) => button.toJSON().custom_id
+    );
+    expect(buttons).toEqual([
+      "weaponChangeApprove:1:weapon-role-2",
+      "weaponChangeReject:1:weapon-role-2",
+    ]);
+  });
+
+  test("members picking their first weapons skip approval", async () => {
+    process.env.WEAPON_CHANGE_APPROVAL = "true";
+    const member = guild.addMember({ id: "1", username: "player" });
+    const interaction = select(member, "weaponPickerCombo", "weapon-role-2");
+
+    await handleWeaponPickerSelect(interaction);
+
+    expect(member.roles.cache.has("weapon-role-2")).toBe(true);
+    expect(officerChannel.sent).toHaveLength(0);
+  });
+
+  describe("approval buttons", () => {
+    let member;
+    let requestMessage;
+
+    beforeEach(async () => {
+      process.env.WEAPON_CHANGE_APPROVAL = "true";
+      member = guild.addMember({
+        id: "1",
+        username: "player",
+        roles: ["weapon-role-1"],
+      });
+      await handleWeaponPickerSelect(
+        select(member, "weaponPickerCombo", "weapon-role-2")
+      );
+      requestMessage = officerChannel.sent[0];
+    });
+
+    function click(clicker, customId) {
+      return new FakeInteraction({
+        client,
+        guild,
+        member: clicker,
+        customId,
+        message: requestMessage,
+      });
+    }
+
+    test("approving swaps the role and tells the member", async () => {
+      const interaction = click(officer, "weaponChangeApprove:1:weapon-role-2");
+
+      await handleWeaponApprovalButton(interaction);
+
+      expect(member.roles.cache.has("weapon-role-2")).toBe(true);
+      expect(member.roles.cache.has("weapon-role-1")).toBe(false);
+      expect(member.user.dms[0]).toContain("was approved");
+      expect(interaction.edits[0].components).toEqual([]);
+      expect(interaction.edits[0].embeds[0].toJSON().fields.at(-1).value).toBe(
+        "✅ Approved by <@10>"
+      );
+    });
+
+    test("rejecting keeps the current role", async () => {
+      const interaction = click(officer, "weaponChangeReject:1:weapon-role-2");
+
+      await handleWeaponApprovalButton(interaction);
+
+      expect(member.roles.cache.has("weapon-role-1")).toBe(true);
+      expect(member.roles.cache.has("weapon-role-2")).toBe(false);
+      expect(member.user.dms[0]).toContain("was rejected");
+    });
+
+    test("only officers can review", async () => {
+      const interaction = click(member, "weaponChangeApprove:1:weapon-role-2");
+
+      await handleWeaponApprovalButton(interaction);
+
+      expect(interaction.replies[0].content).toContain("Only officers");
+      expect(member.roles.cache.has("weapon-role-2")).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+import { beforeEach, describe, expect, test } from "bun:test";
+import { whoisCommand, viewRecordCommand } from "../src/commands/whois.js";
+import { setIngameName } from "../src/utils/ingameName.js";
+import { createFakeMembers } from "./fakes/appwrite.js";
+import { FakeClient, FakeGuild, FakeInteraction } from "./fakes/discord.js";
+
+describe("/whois", () => {
+  let fake;
+  let guild;
+  let client;
+  let officer;
+
+  beforeEach(() => {
+    fake = createFakeMembers();
+    guild = new FakeGuild();
+    client = new FakeClient([guild]);
+    officer = guild.addMember({ id: "10", username: "officer" });
+    fake.databases.seed("members", {
+      discord_id: "1",
+      discord_username: "hazard",
+      ingame_name: "Hazard",
+      ingame_name_key: "hazard",
+      guild: "Guild One",
+      class: "Tank",
+      primary_weapon: "Sword and Shield",
+      secondary_weapon: "Greatsword",
+      thread_link: "https://discord.com/channels/server1/t1",
+      departure_reason: "kicked",
+      left_at: "2024-01-01T00:00:00.000Z",
+      rejoin_count: 2,
+    });
+  });
+
+  function run(command, { user = null, name = null, targetUser } = {}) {
+    const interaction = new FakeInteraction({
+      client,
+      guild,
+      member: officer,
+      options: {
+        getUser: () => user,
+        getString: () => name,
+      },
+    });
+    interaction.targetUser = targetUser;
+    return command
+      .execute(interaction, { members: fake.members, history: fake.history })
+      .then(() => {
+        // Lookups are deferred and answered with an edit
+        expect(interaction.deferred).toBe(interaction.edits.length > 0);
+        return interaction.edits[0] ?? interaction.replies[0];
+      });
+  }
+
+  function fields(reply) {
+    return Object.fromEntries(
+      reply.embeds[0].toJSON().fields.map((field) => [field.name, field.value])
+    );
+  }
+
+  test("shows the record of a mentioned member", async () => {
+    const reply = await run(whoisCommand, { user: { id: "1" } });
+
+    expect(fields(reply)).toMatchObject({
+      "In-game name": "Hazard",
+      Guild: "Guild One",
+      Class: "Tank",
+      Weapons: "Sword and Shield / Greatsword",
+      "Review thread": "https://discord.com/channels/server1/t1",
+      "Last left": "<t:1704067200:f> (kicked)",
+      Rejoins: "2",
+    });
+  });
+
+  test("looks members up by in-game name, ignoring case", async () => {
+    const reply = await run(whoisCommand, { name: " hazard " });
+
+    expect(reply.embeds[0].toJSON().description).toBe("<@1>");
+  });
+
+  test("lists the in-game names the member has used", async () => {
+    await setIngameName(fake.members, "1", "Renamed");
+
+    const reply = await run(whoisCommand, { user: { id: "1" } });
+
+    expect(fields(reply)["In-game names used"]).toMatch(
+      /^Hazard\nRenamed \(since <t:\d+:d>\)$/
+    );
+  });
+
+  test("finds members by a former in-game name", async () => {
+    await setIngameName(fake.members, "1", "Renamed");
+
+    const reply = await run(whoisCommand, { name: "HAZARD" });
+
+    expect(fields(reply)["In-game name"]).toBe("Renamed");
+  });
+
+  test("says when there is no record", async () => {
+    const reply = await run(whoisCommand, { name: "Nobody" });
+
+    expect(reply.content).toMatch(/No member has the in-game name "Nobody"/);
+  });
+
+  test("asks for a member or a name", async () => {
+    const reply = await run(whoisCommand);
+
+    expect(reply.content).toMatch(/Give a member or an in-game name/);
+  });
+
+  test("shows the record from the user context menu", async () => {
+    const reply = await run(viewRecordCommand, {
+      targetUser: { id: "1", toString: () => "<@1>" },
+    });
+
+    expect(fields(reply).Guild).toBe("Guild One");
+  });
+});